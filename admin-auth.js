@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// ============================================================================
+// ADMIN AUTH - Bearer tokens for the operator routes (approvals, audit, catalog)
+// ============================================================================
+// Each token belongs to a named operator; the name is what decisions are recorded under
+class AdminAuthenticator {
+  constructor(tokens = []) {
+    this.tokens = tokens.map(({ name, token }) => ({ name, digest: digest(token) }));
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      const operator = this.authenticate(req.get('authorization') || '');
+
+      if (!operator) {
+        const reason = this.tokens.length === 0 ? 'No ADMIN_TOKENS are configured' : 'Invalid or missing bearer token';
+        console.warn(`🔒 [Admin Auth] Rejected ${req.method} ${req.path} from ${req.ip}: ${reason}`);
+        return res.status(401).json({ status: 'unauthorized', message: reason });
+      }
+
+      req.operator = operator;
+      next();
+    };
+  }
+
+  // The operator name for a valid "Bearer <token>" header, otherwise null
+  authenticate(header) {
+    const match = header.match(/^Bearer (.+)$/);
+
+    if (!match) {
+      return null;
+    }
+
+    // Digests have a fixed length, so every comparison is constant-time
+    const actual = digest(match[1]);
+    return this.tokens.find(({ digest: expected }) => crypto.timingSafeEqual(actual, expected))?.name || null;
+  }
+}
+
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+module.exports = AdminAuthenticator;
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_APPLICATIONS_FILE = path.join(__dirname, 'applications.json');
+
+const GENERIC_PROFILE = {
+  platform: 'the requested application',
+  roleNoun: 'role',
+  resourceTypes: 'the resources the role gives access to',
+  resourceKeywords: {}
+};
+
+// ============================================================================
+// APPLICATION REGISTRY - Maps access requests to their target Okta application
+// ============================================================================
+class ApplicationRegistry {
+  constructor(registry = {}) {
+    this.applications = (registry.applications || []).map(application => ({
+      ...application,
+      match: {
+        resourceIds: application.match?.resourceIds || [],
+        catalogEntryIds: application.match?.catalogEntryIds || [],
+        resourceNames: (application.match?.resourceNames || []).map(toRegExp)
+      }
+    }));
+    this.defaultApplication = registry.defaultApplication || null;
+    this.defaultProfile = { ...GENERIC_PROFILE, ...registry.defaultProfile };
+  }
+
+  static load(file = DEFAULT_APPLICATIONS_FILE) {
+    if (!fs.existsSync(file)) {
+      console.log(`⚠️  [Applications] No application registry at ${file}, requests fall back to the generic profile`);
+      return new ApplicationRegistry();
+    }
+
+    const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`🗂️  [Applications] Loaded ${(registry.applications || []).length} application(s) from ${file}`);
+    return new ApplicationRegistry(registry);
+  }
+
+  get(key) {
+    return this.applications.find(application => application.key === key) || null;
+  }
+
+  // OIG sends the app instance as Resource ID, so a configured applicationId is the
+  // strongest match, then explicit resource/catalog entry IDs, then the resource name.
+  // An unknown app still resolves, with the generic profile; the default application
+  // only applies to requests that name no resource at all.
+  // Returns { key, name, applicationId, profile, prompt, resolvedBy } or null
+  resolve(request = {}) {
+    const { resourceId, catalogEntryId, resourceName } = request;
+    const candidates = [
+      ['resourceId', app => resourceId && app.applicationId === resourceId],
+      ['match.resourceIds', app => resourceId && app.match.resourceIds.includes(resourceId)],
+      ['match.catalogEntryIds', app => catalogEntryId && app.match.catalogEntryIds.includes(catalogEntryId)],
+      ['match.resourceNames', app => resourceName && app.match.resourceNames.some(regex => regex.test(resourceName))]
+    ];
+
+    for (const [resolvedBy, matches] of candidates) {
+      const application = this.applications.find(matches);
+      if (application) {
+        return this.describe(application, application.applicationId || resourceId, resolvedBy);
+      }
+    }
+
+    if (resourceId) {
+      return {
+        key: null,
+        name: resourceName || resourceId,
+        applicationId: resourceId,
+        profile: this.defaultProfile,
+        resolvedBy: 'resourceId'
+      };
+    }
+
+    const fallback = this.get(this.defaultApplication);
+    return fallback ? this.describe(fallback, fallback.applicationId, 'defaultApplication') : null;
+  }
+
+  describe(application, applicationId, resolvedBy) {
+    if (!applicationId) {
+      return null;
+    }
+
+    return {
+      key: application.key,
+      name: application.name,
+      applicationId,
+      profile: { ...this.defaultProfile, ...application.profile },
+      prompt: application.prompt || null,
+      resolvedBy
+    };
+  }
+
+  // Renders a profile's resource vocabulary for the prompt, e.g.
+  // grant "BigQuery" bundles only when the justification mentions "database", "sql"
+  static describeResourceKeywords(profile) {
+    const entries = Object.entries(profile.resourceKeywords || {});
+
+    if (entries.length === 0) {
+      return 'Only grant bundles for resources the justification explicitly names';
+    }
+
+    return entries
+      .map(([resource, keywords]) => `grant "${resource}" bundles only when the justification mentions ${keywords.map(keyword => `"${keyword}"`).join(', ')}`)
+      .join('; ');
+  }
+}
+
+function toRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+}
+
+module.exports = ApplicationRegistry;
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const path = require('path');
+const JsonFileStore = require('./json-file-store');
+
+const DEFAULT_APPROVALS_FILE = path.join(__dirname, 'data', 'approvals.json');
+
+// ============================================================================
+// APPROVAL QUEUE - High-risk grants parked until a human approves or rejects
+// ============================================================================
+class ApprovalQueue {
+  constructor(mcpServer, file = DEFAULT_APPROVALS_FILE) {
+    this.mcpServer = mcpServer;
+    this.file = file;
+    // Read on every call, so grants parked by an MCP transport process can be decided here
+    this.store = new JsonFileStore(file, {});
+  }
+
+  // Returned to the model in place of a grant result
+  park(args, request, riskReasons, catalog) {
+    const now = new Date().toISOString();
+    const approval = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      accessRequestId: request.accessRequestId,
+      userId: args.userId,
+      userEmail: request.userEmail,
+      requestedRole: request.accessLevelName,
+      justification: request.justification,
+      accessDuration: request.accessDuration || null,
+      entitlementIds: args.entitlementIds,
+      bundles: args.entitlementIds.map(id => ({
+        id,
+        name: catalog?.bundles.find(bundle => bundle.id === id)?.name || null
+      })),
+      reasoning: args.reasoning,
+      riskReasons,
+      createdAt: now,
+      decidedAt: null,
+      decidedBy: null,
+      comment: null,
+      grantResult: null
+    };
+
+    this.store.update(approvals => ({ ...approvals, [approval.id]: approval }));
+    console.log(`⏸️  [Approval] Parked grant for ${approval.userId} as ${approval.id}: ${riskReasons.join('; ')}`);
+
+    return {
+      success: true,
+      status: 'pending_approval',
+      approvalId: approval.id,
+      riskReasons,
+      message: 'No access has been granted yet. The grant was submitted for human approval; tell the requester it is pending review.'
+    };
+  }
+
+  list(status) {
+    return Object.values(this.store.read())
+      .filter(approval => !status || approval.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  get(id) {
+    return this.store.read()[id];
+  }
+
+  async approve(id, { approver, comment }) {
+    let error = null;
+    // Claimed on disk before the Okta call so a second approve, from any process, cannot grant twice
+    const approval = this.store.update(approvals => {
+      error = checkPending(approvals[id], id);
+      return error ? approvals : { ...approvals, [id]: { ...approvals[id], status: 'approving' } };
+    })[id];
+
+    if (error) {
+      return error;
+    }
+
+    console.log(`👍 [Approval] ${approver} approved ${id}`);
+    const grantResult = await this.mcpServer.createGrant(approval.userId, null, approval.entitlementIds, approval.reasoning);
+
+    if (!grantResult.success) {
+      this.store.update(approvals => ({ ...approvals, [id]: { ...approvals[id], status: 'pending' } }));
+      return { success: false, code: 'GRANT_FAILED', error: `Grant failed, approval ${id} is still pending: ${grantResult.error}` };
+    }
+
+    if (approval.accessDuration) {
+      this.mcpServer.scheduleRevocations(grantResult.data, approval.userId, approval);
+    }
+
+    this.decide(approval, 'approved', approver, comment, grantResult);
+
+    const granted = grantResult.data.map(grant => grant.entitlementBundleId);
+    const names = approval.bundles.filter(bundle => granted.includes(bundle.id)).map(bundle => bundle.name || bundle.id).join(', ');
+    const failures = grantResult.partial ? ` Some bundles could not be granted: ${grantResult.error}.` : '';
+    await this.mcpServer.addRequestMessage(
+      approval.accessRequestId,
+      `Approved by ${approver}: granted ${names}.${failures}${comment ? ` ${comment}` : ''}`
+    );
+
+    return { success: true, data: approval };
+  }
+
+  async reject(id, { approver, comment }) {
+    const approval = this.get(id);
+    const error = checkPending(approval, id);
+    if (error) {
+      return error;
+    }
+
+    console.log(`👎 [Approval] ${approver} rejected ${id}`);
+    this.decide(approval, 'rejected', approver, comment, null);
+
+    await this.mcpServer.addRequestMessage(
+      approval.accessRequestId,
+      `Rejected by ${approver}: no access was granted.${comment ? ` ${comment}` : ''}`
+    );
+
+    return { success: true, data: approval };
+  }
+
+  decide(approval, status, approver, comment, grantResult) {
+    Object.assign(approval, {
+      status,
+      decidedAt: new Date().toISOString(),
+      decidedBy: approver,
+      comment: comment || null,
+      grantResult
+    });
+    this.store.update(approvals => ({ ...approvals, [approval.id]: approval }));
+  }
+}
+
+function checkPending(approval, id) {
+  if (!approval) {
+    return { success: false, code: 'NOT_FOUND', error: `Approval ${id} not found` };
+  }
+
+  if (approval.status !== 'pending') {
+    return { success: false, code: 'NOT_PENDING', error: `Approval ${id} is already ${approval.status}` };
+  }
+
+  return null;
+}
+
+module.exports = ApprovalQueue;
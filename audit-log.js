@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, 'data', 'audit.jsonl');
+
+// ============================================================================
+// AUDIT LOG - Append-only JSONL record of every access decision
+// ============================================================================
+class AuditLog {
+  constructor(file = DEFAULT_AUDIT_FILE) {
+    this.file = file;
+  }
+
+  append(record) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    console.log(`🗂️  [Audit] Recorded decision ${record.id} for request ${record.accessRequestId}`);
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  // Filters: user (ID or email), bundle (granted bundle ID or name), from/to (ISO dates on startedAt)
+  query({ user, bundle, from, to, limit = 100 } = {}) {
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+    const userFilter = user?.toLowerCase();
+    const bundleFilter = bundle?.toLowerCase();
+
+    return this.readAll()
+      .filter(record => {
+        const startedAt = Date.parse(record.startedAt);
+        if (startedAt < fromTime || startedAt > toTime) {
+          return false;
+        }
+
+        if (userFilter && ![record.input?.userId, record.input?.userEmail]
+          .some(value => value?.toLowerCase() === userFilter)) {
+          return false;
+        }
+
+        if (bundleFilter && !record.grants.some(grant => grant.entitlementBundleId?.toLowerCase() === bundleFilter ||
+          grant.name?.toLowerCase().includes(bundleFilter))) {
+          return false;
+        }
+
+        return true;
+      })
+      .reverse()
+      .slice(0, limit);
+  }
+
+  findByRequestId(accessRequestId) {
+    return this.readAll().filter(record => record.accessRequestId === accessRequestId);
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// ============================================================================
+// CATALOG CACHE - Entitlement bundle listings per application, with a TTL
+// ============================================================================
+class CatalogCache {
+  // fetchBundles(applicationId) resolves to the full bundle list for an application.
+  // options.file persists the cache across restarts; without it the cache is in-memory
+  constructor(fetchBundles, { ttlMs = DEFAULT_TTL_MS, file = null, refreshIntervalMs = 0 } = {}) {
+    this.fetchBundles = fetchBundles;
+    this.ttlMs = ttlMs;
+    this.file = file;
+    this.refreshIntervalMs = refreshIntervalMs;
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.refreshTimer = null;
+
+    if (file && fs.existsSync(file)) {
+      for (const entry of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+        this.entries.set(entry.applicationId, entry);
+      }
+      console.log(`📚 [Catalog] Loaded ${this.entries.size} cached catalog(s) from ${file}`);
+    }
+  }
+
+  // Serves a fresh cached listing, otherwise fetches one; a failed fetch falls back
+  // to the stale listing when there is one
+  async get(applicationId) {
+    const entry = this.entries.get(applicationId);
+
+    if (entry && Date.now() - Date.parse(entry.fetchedAt) < this.ttlMs) {
+      return entry;
+    }
+
+    try {
+      return await this.refresh(applicationId);
+    } catch (error) {
+      if (!entry) {
+        throw error;
+      }
+      console.log(`⚠️  [Catalog] Refresh failed for ${applicationId}, serving listing from ${entry.fetchedAt}: ${error.message}`);
+      return entry;
+    }
+  }
+
+  // Concurrent requests for the same application share a single fetch
+  refresh(applicationId) {
+    if (!this.inflight.has(applicationId)) {
+      const fetching = this.fetchBundles(applicationId)
+        .then(bundles => {
+          const entry = { applicationId, bundles, fetchedAt: new Date().toISOString() };
+          this.entries.set(applicationId, entry);
+          this.persist();
+          console.log(`📚 [Catalog] Cached ${bundles.length} bundle(s) for ${applicationId}`);
+          return entry;
+        })
+        .finally(() => this.inflight.delete(applicationId));
+
+      this.inflight.set(applicationId, fetching);
+    }
+
+    return this.inflight.get(applicationId);
+  }
+
+  // Drops one application's listing, or all of them, so the next get() refetches
+  invalidate(applicationId) {
+    const removed = applicationId ? Number(this.entries.delete(applicationId)) : this.entries.size;
+
+    if (!applicationId) {
+      this.entries.clear();
+    }
+
+    this.persist();
+    console.log(`📚 [Catalog] Invalidated ${removed} cached catalog(s)`);
+    return removed;
+  }
+
+  snapshot() {
+    return [...this.entries.values()].map(entry => ({
+      ...entry,
+      expiresAt: new Date(Date.parse(entry.fetchedAt) + this.ttlMs).toISOString(),
+      stale: Date.now() - Date.parse(entry.fetchedAt) >= this.ttlMs
+    }));
+  }
+
+  // Optional background refresh keeps every listed application warm so requests
+  // rarely wait on Okta
+  start() {
+    if (!this.refreshIntervalMs || this.refreshTimer) {
+      return;
+    }
+
+    this.refreshTimer = setInterval(() => {
+      for (const applicationId of this.entries.keys()) {
+        this.refresh(applicationId).catch(error => {
+          console.error(`❌ [Catalog] Background refresh failed for ${applicationId}:`, error.message);
+        });
+      }
+    }, this.refreshIntervalMs);
+    this.refreshTimer.unref();
+
+    console.log(`📚 [Catalog] Refreshing cached catalogs every ${this.refreshIntervalMs / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  persist() {
+    if (!this.file) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify([...this.entries.values()], null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+module.exports = CatalogCache;
@@ -0,0 +1,50 @@
+// ============================================================================
+// CATALOG SCOPE - Grants are limited to bundles from the catalog just listed
+// ============================================================================
+
+// Returns null when every bundle is grantable, otherwise a structured tool
+// error describing each refused bundle so the model can correct itself
+function checkGrantScope(entitlementIds, catalog, applicationId) {
+  if (!catalog) {
+    return {
+      success: false,
+      code: 'CATALOG_NOT_LISTED',
+      error: 'Grant refused: call list_entitlement_bundles for this request before create_grant'
+    };
+  }
+
+  if (!Array.isArray(entitlementIds) || entitlementIds.length === 0) {
+    return {
+      success: false,
+      code: 'NO_BUNDLES',
+      error: 'Grant refused: entitlementIds must contain at least one bundle ID from the catalog'
+    };
+  }
+
+  const refused = [];
+
+  for (const entitlementId of entitlementIds) {
+    const bundle = catalog.bundles.find(entry => entry.id === entitlementId);
+
+    if (!bundle) {
+      refused.push({ entitlementId, code: 'NOT_IN_CATALOG', reason: 'Bundle was not returned by list_entitlement_bundles' });
+    } else if (bundle.status !== 'ACTIVE') {
+      refused.push({ entitlementId, code: 'NOT_ACTIVE', reason: `Bundle status is ${bundle.status}` });
+    } else if (bundle.applicationId !== applicationId) {
+      refused.push({ entitlementId, code: 'WRONG_APPLICATION', reason: `Bundle belongs to application ${bundle.applicationId}, not ${applicationId}` });
+    }
+  }
+
+  if (refused.length === 0) {
+    return null;
+  }
+
+  return {
+    success: false,
+    code: 'BUNDLE_NOT_GRANTABLE',
+    error: `Grant refused: ${refused.length} bundle(s) are not grantable. Only ACTIVE bundles from the listed catalog for application ${applicationId} may be granted.`,
+    refused
+  };
+}
+
+module.exports = { checkGrantScope };
@@ -0,0 +1,439 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./json-schema');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const URL_PATTERN = '^https?://';
+
+const DEFAULTS = {
+  okta: {
+    auth: { mode: 'ssws', dpop: false },
+    maxRetries: 3,
+    breaker: { failureThreshold: 5, resetMs: 30 * 1000 }
+  },
+  llm: { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.1 },
+  agent: {},
+  prompts: {},
+  mcp: { servers: [], http: { port: 3001 } },
+  policy: {},
+  applications: {},
+  ledger: { file: path.join(DATA_DIR, 'ledger.json') },
+  audit: { file: path.join(DATA_DIR, 'audit.jsonl') },
+  approval: { mode: 'off', file: path.join(DATA_DIR, 'approvals.json') },
+  shadow: { enabled: false, file: path.join(DATA_DIR, 'shadow.json') },
+  revocation: { queueFile: path.join(DATA_DIR, 'revocations.json') },
+  webhook: { requireAuth: true, toleranceSeconds: 300 },
+  admin: { tokens: [] },
+  catalog: { ttlSeconds: 300, refreshSeconds: 0 },
+  tickets: { backends: [], servicenow: {}, jira: {}, pagerduty: {}, file: {} },
+  jobs: { concurrency: 2, maxAttempts: 3, backoffMs: 5000, file: path.join(DATA_DIR, 'jobs.json') },
+  standin: { port: 4010 },
+  port: 3000,
+  mockMode: true
+};
+
+// [variable, config path, type] - applied in order, so a later variable wins over an earlier one
+const ENV_VARS = [
+  ['MOCK_MODE', 'mockMode', 'boolean'],
+  ['PORT', 'port', 'number'],
+  ['OKTA_BASE_URL', 'okta.baseUrl'],
+  ['OKTA_TOKEN', 'okta.token'],
+  ['OKTA_AUTH_MODE', 'okta.auth.mode'],
+  ['OKTA_CLIENT_ID', 'okta.auth.clientId'],
+  ['OKTA_PRIVATE_KEY', 'okta.auth.privateKey'],
+  ['OKTA_PRIVATE_KEY_FILE', 'okta.auth.privateKeyFile'],
+  ['OKTA_KEY_ID', 'okta.auth.keyId'],
+  ['OKTA_OAUTH_SCOPES', 'okta.auth.scopes', 'list'],
+  ['OKTA_DPOP', 'okta.auth.dpop', 'boolean'],
+  ['OKTA_APPLICATION_ID', 'okta.applicationId'],
+  ['OKTA_MAX_RETRIES', 'okta.maxRetries', 'number'],
+  ['OKTA_BREAKER_THRESHOLD', 'okta.breaker.failureThreshold', 'number'],
+  ['OKTA_BREAKER_RESET_SECONDS', 'okta.breaker.resetMs', 'seconds'],
+  ['OKTA_FIXTURES_FILE', 'okta.fixturesFile'],
+  ['LLM_PROVIDER', 'llm.provider'],
+  ['LLM_MODEL', 'llm.model'],
+  ['LLM_TEMPERATURE', 'llm.temperature', 'number'],
+  ['LLM_MAX_TOKENS', 'llm.maxTokens', 'number'],
+  ['OPENAI_API_KEY', 'llm.apiKey'],
+  ['LLM_API_KEY', 'llm.apiKey'],
+  ['LLM_BASE_URL', 'llm.baseUrl'],
+  ['AZURE_OPENAI_ENDPOINT', 'llm.azure.endpoint'],
+  ['AZURE_OPENAI_API_VERSION', 'llm.azure.apiVersion'],
+  ['AZURE_OPENAI_DEPLOYMENT', 'llm.azure.deployment'],
+  ['LLM_FAKE_SCRIPT', 'llm.scriptFile'],
+  ['LLM_STRUCTURED_OUTPUT', 'llm.structuredOutput', 'boolean'],
+  ['AGENT_MAX_TOOL_ROUNDS', 'agent.maxToolRounds', 'number'],
+  ['AGENT_MAX_TOKENS', 'agent.maxTokens', 'number'],
+  ['AGENT_MAX_SECONDS', 'agent.maxSeconds', 'number'],
+  ['PROMPTS_DIR', 'prompts.dir'],
+  ['PROMPT_TEMPLATE', 'prompts.template'],
+  ['MCP_SERVERS', 'mcp.servers', 'json'],
+  ['MCP_SERVERS_FILE', 'mcp.servers', 'jsonFile'],
+  ['MCP_PORT', 'mcp.http.port', 'number'],
+  ['MCP_HTTP_TOKEN', 'mcp.http.token'],
+  ['POLICY_FILE', 'policy.file'],
+  ['APPLICATIONS_FILE', 'applications.file'],
+  ['LEDGER_FILE', 'ledger.file'],
+  ['AUDIT_FILE', 'audit.file'],
+  ['APPROVAL_MODE', 'approval.mode'],
+  ['APPROVALS_FILE', 'approval.file'],
+  ['SHADOW_MODE', 'shadow.enabled', 'boolean'],
+  ['SHADOW_FILE', 'shadow.file'],
+  ['REVOCATION_QUEUE_FILE', 'revocation.queueFile'],
+  ['WEBHOOK_SECRET', 'webhook.secret'],
+  ['WEBHOOK_HMAC_SECRET', 'webhook.hmacSecret'],
+  ['WEBHOOK_REQUIRE_AUTH', 'webhook.requireAuth', 'boolean'],
+  ['WEBHOOK_TOLERANCE_SECONDS', 'webhook.toleranceSeconds', 'number'],
+  ['ADMIN_TOKENS', 'admin.tokens', 'json'],
+  ['ADMIN_TOKENS_FILE', 'admin.tokens', 'jsonFile'],
+  ['CATALOG_TTL_SECONDS', 'catalog.ttlSeconds', 'number'],
+  ['CATALOG_CACHE_FILE', 'catalog.file'],
+  ['CATALOG_REFRESH_SECONDS', 'catalog.refreshSeconds', 'number'],
+  ['TICKET_BACKENDS', 'tickets.backends', 'list'],
+  ['SERVICENOW_INSTANCE_URL', 'tickets.servicenow.instanceUrl'],
+  ['SERVICENOW_USERNAME', 'tickets.servicenow.username'],
+  ['SERVICENOW_PASSWORD', 'tickets.servicenow.password'],
+  ['SERVICENOW_TOKEN', 'tickets.servicenow.token'],
+  ['SERVICENOW_TABLE', 'tickets.servicenow.table'],
+  ['SERVICENOW_TICKET_PATTERN', 'tickets.servicenow.pattern'],
+  ['JIRA_BASE_URL', 'tickets.jira.baseUrl'],
+  ['JIRA_EMAIL', 'tickets.jira.email'],
+  ['JIRA_API_TOKEN', 'tickets.jira.apiToken'],
+  ['JIRA_TOKEN', 'tickets.jira.token'],
+  ['JIRA_TICKET_PATTERN', 'tickets.jira.pattern'],
+  ['PAGERDUTY_BASE_URL', 'tickets.pagerduty.baseUrl'],
+  ['PAGERDUTY_TOKEN', 'tickets.pagerduty.token'],
+  ['PAGERDUTY_TICKET_PATTERN', 'tickets.pagerduty.pattern'],
+  ['TICKETS_FILE', 'tickets.file.file'],
+  ['JOB_CONCURRENCY', 'jobs.concurrency', 'number'],
+  ['JOB_MAX_ATTEMPTS', 'jobs.maxAttempts', 'number'],
+  ['JOB_BACKOFF_MS', 'jobs.backoffMs', 'number'],
+  ['JOBS_FILE', 'jobs.file'],
+  ['OKTA_STANDIN_PORT', 'standin.port', 'number'],
+  ['OKTA_STANDIN_FIXTURES', 'standin.fixturesFile']
+];
+
+const string = { type: 'string', minLength: 1 };
+const url = { type: 'string', pattern: URL_PATTERN };
+const section = properties => ({ type: 'object', properties, additionalProperties: false });
+
+const CONFIG_SCHEMA = section({
+  okta: section({
+    baseUrl: url,
+    token: string,
+    auth: section({
+      mode: { type: 'string', enum: ['ssws', 'oauth'] },
+      clientId: string,
+      privateKey: string,
+      privateKeyFile: string,
+      keyId: string,
+      scopes: { type: 'array', items: string, minItems: 1 },
+      dpop: { type: 'boolean' }
+    }),
+    // Fallback when neither the application registry nor the tool call names an application
+    applicationId: string,
+    maxRetries: { type: 'integer', minimum: 0 },
+    breaker: section({
+      failureThreshold: { type: 'integer', minimum: 1 },
+      resetMs: { type: 'number', minimum: 0 }
+    }),
+    // Seed data for MockOkta in mock mode, defaults to fixtures/okta.json
+    fixturesFile: string
+  }),
+  llm: section({
+    provider: { type: 'string', enum: ['openai', 'azure-openai', 'anthropic', 'openai-compatible', 'fake'] },
+    model: string,
+    temperature: { type: 'number', minimum: 0, maximum: 2 },
+    maxTokens: { type: 'integer', minimum: 1 },
+    apiKey: string,
+    baseUrl: url,
+    azure: section({ endpoint: url, apiVersion: string, deployment: string }),
+    scriptFile: string,
+    structuredOutput: { type: 'boolean' }
+  }),
+  // Per-request budget of the agent, defaults in mcp-client.js
+  agent: section({
+    maxToolRounds: { type: 'integer', minimum: 1 },
+    maxTokens: { type: 'integer', minimum: 1 },
+    maxSeconds: { type: 'number', minimum: 1 }
+  }),
+  // System prompt templates; template is "name" or "name@version", applications can pick their own
+  prompts: section({ dir: string, template: { type: 'string', pattern: '^[\\w.-]+(@\\d+)?$' } }),
+  mcp: section({
+    // Extra MCP tool servers next to the built-in Okta tools, e.g.
+    // [{ "name": "hr", "url": "https://hr.example.com/mcp", "token": "..." },
+    //  { "name": "tickets", "command": "node", "args": ["tickets-mcp.js"] }]
+    servers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: string,
+          url,
+          token: string,
+          headers: { type: 'object' },
+          command: string,
+          args: { type: 'array', items: { type: 'string' } },
+          env: { type: 'object' },
+          cwd: string,
+          // Only trusted servers receive the access request itself as _meta.request
+          trusted: { type: 'boolean' }
+        },
+        additionalProperties: false
+      }
+    },
+    // mcp-http.js, which refuses every call without a token
+    http: section({ port: { type: 'integer', minimum: 1, maximum: 65535 }, token: string })
+  }),
+  policy: section({ file: string }),
+  applications: section({ file: string }),
+  ledger: section({ file: string }),
+  audit: section({ file: string }),
+  approval: section({ mode: { type: 'string', enum: ['off', 'high-risk', 'all'] }, file: string }),
+  shadow: section({ enabled: { type: 'boolean' }, file: string }),
+  revocation: section({ queueFile: string }),
+  webhook: section({
+    secret: string,
+    hmacSecret: string,
+    requireAuth: { type: 'boolean' },
+    toleranceSeconds: { type: 'integer', minimum: 1 }
+  }),
+  admin: section({
+    // Operators allowed on /approvals, /audit and /catalog, e.g. [{ "name": "alex", "token": "..." }];
+    // approval decisions are recorded under the name
+    tokens: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'token'],
+        properties: { name: string, token: { type: 'string', minLength: 16 } },
+        additionalProperties: false
+      }
+    }
+  }),
+  catalog: section({
+    ttlSeconds: { type: 'integer', minimum: 0 },
+    // Optional on-disk copy of the cache, e.g. data/catalog.json; in-memory only when unset
+    file: string,
+    // 0 disables the background refresh
+    refreshSeconds: { type: 'integer', minimum: 0 }
+  }),
+  tickets: section({
+    // servicenow, jira, pagerduty and/or file, matched against ticket IDs in this order
+    backends: { type: 'array', items: { type: 'string', enum: ['servicenow', 'jira', 'pagerduty', 'file'] } },
+    servicenow: section({ instanceUrl: url, username: string, password: string, token: string, table: string, pattern: string }),
+    jira: section({ baseUrl: url, email: string, apiToken: string, token: string, pattern: string }),
+    pagerduty: section({ baseUrl: url, token: string, pattern: string }),
+    file: section({ file: string })
+  }),
+  jobs: section({
+    concurrency: { type: 'integer', minimum: 1 },
+    maxAttempts: { type: 'integer', minimum: 1 },
+    backoffMs: { type: 'integer', minimum: 0 },
+    file: string
+  }),
+  // okta-standin.js; fixturesFile defaults to fixtures/okta.json
+  standin: section({ port: { type: 'integer', minimum: 1, maximum: 65535 }, fixturesFile: string }),
+  port: { type: 'integer', minimum: 1, maximum: 65535 },
+  mockMode: { type: 'boolean' }
+});
+
+// ============================================================================
+// CONFIG - Defaults, then CONFIG_FILE (JSON), then environment variables
+// ============================================================================
+// Everything is checked before anything starts: a bad value throws a single
+// INVALID_CONFIG error listing every problem and the variable or file it came from.
+// serve names what the entry point exposes ('webhook', 'mcp-http') or runs ('agent', the LLM) so its credentials are required too
+function loadConfig({ env = process.env, file = env.CONFIG_FILE, serve = [] } = {}) {
+  const config = structuredClone(DEFAULTS);
+  const sources = new Map();
+  const problems = [];
+
+  if (file) {
+    try {
+      const fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+      merge(config, fromFile, '', sources, `config file ${file}`);
+    } catch (error) {
+      problems.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+    }
+  }
+
+  for (const [name, key, type = 'string'] of ENV_VARS) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+
+    try {
+      set(config, key, parseEnv(env[name], type));
+      sources.set(key, name);
+    } catch (error) {
+      problems.push(`${name} ${error.message}`);
+    }
+  }
+
+  const sourceOf = errorPath => {
+    let key = errorPath.replace(/^\$\.?/, '');
+    while (key && !sources.has(key)) {
+      key = key.replace(/(\.[^.[]+|\[\d+\])$/, '');
+    }
+    return sources.get(key);
+  };
+
+  for (const error of validate(CONFIG_SCHEMA, config)) {
+    const [, errorPath, message] = error.match(/^(\S+) (.*)$/);
+    const source = sourceOf(errorPath);
+    problems.push(`${errorPath.replace(/^\$\./, '')} ${message}${source ? ` (${source})` : ''}`);
+  }
+
+  if (problems.length === 0) {
+    problems.push(...checkConsistency(config, serve, sources));
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.code = 'INVALID_CONFIG';
+    error.problems = problems;
+    throw error;
+  }
+
+  return config;
+}
+
+// Settings that are only wrong in combination, and files that must exist up front
+function checkConsistency(config, serve, sources) {
+  const { okta, tickets, llm } = config;
+  const problems = [];
+  const requires = (condition, message) => condition || problems.push(message);
+
+  if (!config.mockMode) {
+    requires(okta.baseUrl, 'okta.baseUrl is required when mock mode is off (OKTA_BASE_URL)');
+    if (okta.auth.mode === 'ssws') {
+      requires(okta.token, 'okta.token is required for ssws auth when mock mode is off (OKTA_TOKEN)');
+    } else {
+      requires(okta.auth.clientId, 'okta.auth.clientId is required for oauth auth (OKTA_CLIENT_ID)');
+      requires(okta.auth.privateKey || okta.auth.privateKeyFile, 'okta.auth.privateKey or okta.auth.privateKeyFile is required for oauth auth (OKTA_PRIVATE_KEY, OKTA_PRIVATE_KEY_FILE)');
+    }
+  }
+
+  if (serve.includes('webhook') && config.webhook.requireAuth) {
+    requires(config.webhook.secret || config.webhook.hmacSecret, 'webhook.secret or webhook.hmacSecret is required while webhook.requireAuth is on (WEBHOOK_SECRET, WEBHOOK_HMAC_SECRET, or WEBHOOK_REQUIRE_AUTH=false for local development)');
+  }
+  if (serve.includes('mcp-http')) {
+    requires(config.mcp.http.token, 'mcp.http.token is required to serve MCP over HTTP (MCP_HTTP_TOKEN)');
+  }
+
+  if (serve.includes('agent')) {
+    if (['openai', 'azure-openai', 'anthropic'].includes(llm.provider)) {
+      requires(llm.apiKey, `llm.apiKey is required for the ${llm.provider} provider (OPENAI_API_KEY or LLM_API_KEY)`);
+    }
+    // The default model is an OpenAI one, so Anthropic needs a model set explicitly
+    if (llm.provider === 'anthropic') {
+      requires(sources.has('llm.model'), 'llm.model must be set for the anthropic provider (LLM_MODEL)');
+    }
+    if (llm.provider === 'azure-openai') {
+      requires(llm.azure?.endpoint, 'llm.azure.endpoint is required for the azure-openai provider (AZURE_OPENAI_ENDPOINT)');
+      requires(llm.azure?.deployment, 'llm.azure.deployment is required for the azure-openai provider (AZURE_OPENAI_DEPLOYMENT)');
+    }
+  }
+
+  if (tickets.backends.includes('servicenow')) {
+    requires(tickets.servicenow.instanceUrl, 'tickets.servicenow.instanceUrl is required when the servicenow ticket backend is enabled (SERVICENOW_INSTANCE_URL)');
+  }
+  if (tickets.backends.includes('jira')) {
+    requires(tickets.jira.baseUrl, 'tickets.jira.baseUrl is required when the jira ticket backend is enabled (JIRA_BASE_URL)');
+  }
+  if (tickets.backends.includes('pagerduty')) {
+    requires(tickets.pagerduty.token, 'tickets.pagerduty.token is required when the pagerduty ticket backend is enabled (PAGERDUTY_TOKEN)');
+  }
+
+  const tokens = config.admin.tokens.map(({ token }) => token);
+  requires(new Set(tokens).size === tokens.length, 'admin.tokens must not share a token between operators (ADMIN_TOKENS)');
+
+  for (const name of ['servicenow', 'jira', 'pagerduty']) {
+    const { pattern } = tickets[name];
+    try {
+      new RegExp(pattern || '');
+    } catch (error) {
+      problems.push(`tickets.${name}.pattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  const files = {
+    'okta.fixturesFile': okta.fixturesFile,
+    'okta.auth.privateKeyFile': okta.auth.privateKeyFile,
+    'llm.scriptFile': config.llm.scriptFile,
+    'prompts.dir': config.prompts.dir,
+    'policy.file': config.policy.file,
+    'applications.file': config.applications.file,
+    'tickets.file.file': tickets.file.file,
+    'standin.fixturesFile': config.standin.fixturesFile
+  };
+
+  for (const [key, file] of Object.entries(files)) {
+    requires(!file || fs.existsSync(file), `${key} ${file} does not exist`);
+  }
+
+  return problems;
+}
+
+function parseEnv(value, type) {
+  switch (type) {
+    case 'number':
+    case 'seconds': {
+      const number = Number(value.trim());
+      if (value.trim() === '' || Number.isNaN(number)) {
+        throw new Error(`must be a number, got ${JSON.stringify(value)}`);
+      }
+      return type === 'seconds' ? number * 1000 : number;
+    }
+    case 'boolean':
+      if (!['true', 'false'].includes(value.trim().toLowerCase())) {
+        throw new Error(`must be true or false, got ${JSON.stringify(value)}`);
+      }
+      return value.trim().toLowerCase() === 'true';
+    case 'list':
+      return value.split(/[\s,]+/).filter(Boolean);
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`is not valid JSON: ${error.message}`);
+      }
+    case 'jsonFile':
+      try {
+        return JSON.parse(fs.readFileSync(value, 'utf8'));
+      } catch (error) {
+        throw new Error(`${value} could not be read: ${error.message}`);
+      }
+    default:
+      return value;
+  }
+}
+
+// Objects merge key by key; arrays and values replace what was there
+function merge(target, source, prefix, sources, label) {
+  for (const [key, value] of Object.entries(source)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      merge(target[key], value, keyPath, sources, label);
+    } else {
+      target[key] = value;
+      sources.set(keyPath, label);
+    }
+  }
+}
+
+function set(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => (current[key] = isPlainObject(current[key]) ? current[key] : {}), target);
+  parent[last] = value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { loadConfig, CONFIG_SCHEMA, ENV_VARS };
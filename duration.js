@@ -0,0 +1,44 @@
+// ============================================================================
+// DURATION - ISO-8601 duration parsing for time-bound access (e.g. PT2H, P1D)
+// ============================================================================
+const DURATION_PATTERN = /^P(?!$)(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?!$)(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+function parseDuration(value) {
+  const match = typeof value === 'string' && DURATION_PATTERN.exec(value.trim().toUpperCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, years, months, weeks, days, hours, minutes, seconds] = match.map(Number);
+  return {
+    years: years || 0,
+    months: months || 0,
+    weeks: weeks || 0,
+    days: days || 0,
+    hours: hours || 0,
+    minutes: minutes || 0,
+    seconds: seconds || 0
+  };
+}
+
+// Years and months are applied on the calendar so P1M from Jan 31 lands at the
+// end of February rather than a fixed 30 days later
+function addDuration(from, duration) {
+  const date = new Date(from.getTime());
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCFullYear(date.getUTCFullYear() + duration.years);
+  date.setUTCMonth(date.getUTCMonth() + duration.months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+
+  const ms = ((((duration.weeks * 7 + duration.days) * 24 + duration.hours) * 60 + duration.minutes) * 60 + duration.seconds) * 1000;
+  return new Date(date.getTime() + ms);
+}
+
+function expiresAt(value, from = new Date()) {
+  const duration = parseDuration(value);
+  return duration ? addDuration(from, duration) : null;
+}
+
+module.exports = { parseDuration, addDuration, expiresAt };
@@ -0,0 +1,387 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { createProvider, FakeProvider } = require('./providers');
+const MCPServer = require('./mcp-server');
+const MCPClient = require('./mcp-client');
+const MockOkta = require('./mock-okta');
+const AuditLog = require('./audit-log');
+const PromptLibrary = require('./prompt-library');
+const { loadConfig } = require('./config');
+
+const DEFAULT_CORPUS_FILE = path.join(__dirname, 'fixtures', 'eval-corpus.json');
+const DEFAULT_REPORT_DIR = path.join(__dirname, 'data', 'eval');
+
+// Which way each compared metric should move
+const METRICS = {
+  precision: 'higher',
+  recall: 'higher',
+  overPrivilegeRate: 'lower',
+  denialAccuracy: 'higher',
+  falseDenialRate: 'lower',
+  exactMatchRate: 'higher',
+  outcomeAccuracy: 'higher',
+  guardrailAccuracy: 'higher',
+  errors: 'lower'
+};
+
+// ============================================================================
+// EVAL HARNESS - Replays a labeled request corpus through MCPClient against MockOkta
+// ============================================================================
+class EvalHarness {
+  // llm takes the same settings as config.llm, and config supplies the policy, application
+  // registry, prompt templates and fallback application. With the fake provider each case replays its own
+  // `script`, or one derived from its label, which exercises the tool, policy and verdict
+  // plumbing without a model
+  constructor({ corpusFile = DEFAULT_CORPUS_FILE, llm = {}, label, fixtures, config = {} } = {}) {
+    this.corpusFile = corpusFile;
+    this.corpusText = fs.readFileSync(corpusFile, 'utf8');
+    this.corpus = JSON.parse(this.corpusText);
+    this.llm = { provider: 'fake', ...llm };
+    this.provider = this.llm.provider === 'fake' ? null : createProvider(this.llm);
+    this.label = label || `${this.llm.provider}-${this.llm.model || 'default'}`;
+    this.okta = new MockOkta(fixtures);
+    this.config = config;
+    this.prompts = PromptLibrary.load(config.prompts?.dir, { template: config.prompts?.template });
+  }
+
+  async run({ only = [], onCase = () => {} } = {}) {
+    const cases = this.corpus.cases.filter(testCase => only.length === 0 || only.includes(testCase.id));
+    // Approvals, revocations and the audit trail of a run are scratch state
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-eval-'));
+    const results = [];
+
+    try {
+      const mcpServer = new MCPServer({
+        okta: { client: this.okta, applicationId: this.config.okta?.applicationId },
+        policy: this.config.policy,
+        applications: this.config.applications,
+        approval: { mode: 'off', file: path.join(workDir, 'approvals.json') },
+        shadow: { file: path.join(workDir, 'shadow.json') },
+        revocation: { queueFile: path.join(workDir, 'revocations.json') }
+      });
+      const auditLog = new AuditLog(path.join(workDir, 'audit.jsonl'));
+
+      for (const testCase of cases) {
+        const result = await this.runCase(testCase, mcpServer, auditLog);
+        results.push(result);
+        onCase(result);
+      }
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    return {
+      version: 1,
+      label: this.label,
+      createdAt: new Date().toISOString(),
+      provider: this.llm.provider,
+      model: this.provider?.model || this.llm.model || 'fake-model',
+      commit: gitCommit(),
+      corpus: {
+        file: path.relative(__dirname, this.corpusFile),
+        sha256: crypto.createHash('sha256').update(this.corpusText).digest('hex'),
+        cases: cases.length
+      },
+      // The prompt templates the cases ran with, to tell prompt changes from model changes
+      prompts: uniquePrompts(results),
+      metrics: EvalHarness.score(results),
+      cases: results
+    };
+  }
+
+  // Each case starts from the seeded Okta state with its own access request
+  async runCase(testCase, mcpServer, auditLog) {
+    const request = {
+      ...this.corpus.defaults?.request,
+      accessRequestId: `EVAL-${testCase.id}`,
+      ...testCase.request
+    };
+    const expected = { outcome: testCase.expected.outcome, grantedBundleIds: testCase.expected.grantedBundleIds || [] };
+    // A case's own script plays a misbehaving model, so it also asserts how the guardrails responded.
+    // Real models are not expected to misbehave the same way, so they are only scored on the label
+    const guardrails = !this.provider && testCase.script ? testCase.expected.guardrails : null;
+
+    this.okta.reset();
+    this.okta.addRequest({ id: request.accessRequestId });
+
+    const provider = this.provider || new FakeProvider({
+      model: this.llm.model,
+      script: testCase.script || EvalHarness.oracleScript(request, expected)
+    });
+    const client = new MCPClient(mcpServer, { provider, limits: this.config.agent, prompts: this.prompts, auditLog, applications: mcpServer.applications });
+
+    let verdict = null;
+    let error = null;
+
+    try {
+      verdict = await client.processAccessRequest(request);
+    } catch (caught) {
+      error = caught.message;
+    }
+
+    // Grants are read from what was actually created, not from the verdict's claim
+    const record = auditLog.readAll().filter(entry => entry.accessRequestId === request.accessRequestId).pop();
+    const granted = [...new Set((record?.grants || []).map(grant => grant.entitlementBundleId))];
+    const truePositives = granted.filter(id => expected.grantedBundleIds.includes(id)).length;
+    const falsePositives = granted.length - truePositives;
+    const falseNegatives = expected.grantedBundleIds.length - truePositives;
+    const guardrailErrors = guardrails ? EvalHarness.checkGuardrails(guardrails, record, provider) : [];
+
+    return {
+      id: testCase.id,
+      description: testCase.description || null,
+      expected,
+      actual: {
+        outcome: verdict?.outcome || null,
+        grantedBundleIds: granted,
+        confidence: verdict?.confidence ?? null,
+        requesterMessage: verdict?.requesterMessage || null
+      },
+      error,
+      truePositives,
+      falsePositives,
+      falseNegatives,
+      grantsMatch: falsePositives === 0 && falseNegatives === 0,
+      outcomeMatch: verdict?.outcome === expected.outcome,
+      guardrailsMatch: guardrails ? guardrailErrors.length === 0 : null,
+      guardrailErrors,
+      correct: !error && falsePositives === 0 && falseNegatives === 0 && verdict?.outcome === expected.outcome && guardrailErrors.length === 0,
+      prompt: record?.prompt || null,
+      toolCalls: (record?.toolCalls || []).map(call => call.name),
+      usage: record?.usage || null,
+      durationMs: record?.timings?.totalMs ?? null
+    };
+  }
+
+  // Precision and recall are over individual bundles; the rates are over requests.
+  // A case that errored is still scored on the grants it made, but never matches its outcome
+  static score(results) {
+    const sum = key => results.reduce((total, result) => total + result[key], 0);
+    const truePositives = sum('truePositives');
+    const labeledDenials = results.filter(result => result.expected.grantedBundleIds.length === 0);
+    const labeledGrants = results.filter(result => result.expected.grantedBundleIds.length > 0);
+    const denied = result => result.actual.grantedBundleIds.length === 0;
+
+    return {
+      cases: results.length,
+      errors: results.filter(result => result.error).length,
+      precision: ratio(truePositives, truePositives + sum('falsePositives')),
+      recall: ratio(truePositives, truePositives + sum('falseNegatives')),
+      // Requests where anything beyond the labeled bundles was granted
+      overPrivilegeRate: ratio(results.filter(result => result.falsePositives > 0).length, results.length),
+      denialAccuracy: ratio(labeledDenials.filter(denied).length, labeledDenials.length),
+      falseDenialRate: ratio(labeledGrants.filter(denied).length, labeledGrants.length),
+      exactMatchRate: ratio(results.filter(result => result.grantsMatch).length, results.length),
+      outcomeAccuracy: ratio(results.filter(result => result.outcomeMatch).length, results.length),
+      // Over the scripted cases that assert guardrail responses
+      guardrailAccuracy: ratio(results.filter(result => result.guardrailsMatch).length, results.filter(result => result.guardrailsMatch !== null).length),
+      totalTokens: results.reduce((total, result) => total + (result.usage?.totalTokens || 0), 0),
+      meanDurationMs: results.length ? Math.round(results.reduce((total, result) => total + (result.durationMs || 0), 0) / results.length) : null
+    };
+  }
+
+  static compare(report, baseline) {
+    const baselineCases = new Map(baseline.cases.map(result => [result.id, result]));
+
+    return {
+      baseline: { label: baseline.label, createdAt: baseline.createdAt, provider: baseline.provider, model: baseline.model },
+      corpusChanged: baseline.corpus.sha256 !== report.corpus.sha256,
+      promptsChanged: JSON.stringify(baseline.prompts || []) !== JSON.stringify(report.prompts),
+      metrics: Object.entries(METRICS).map(([name, better]) => {
+        const before = baseline.metrics[name] ?? null;
+        const after = report.metrics[name] ?? null;
+        const delta = before === null || after === null ? null : Number((after - before).toFixed(4));
+        return { name, baseline: before, current: after, delta, regressed: delta !== null && (better === 'higher' ? delta < 0 : delta > 0) };
+      }),
+      changedCases: report.cases
+        .filter(result => baselineCases.has(result.id) && baselineCases.get(result.id).correct !== result.correct)
+        .map(result => ({
+          id: result.id,
+          fixed: result.correct,
+          baselineGranted: baselineCases.get(result.id).actual.grantedBundleIds,
+          granted: result.actual.grantedBundleIds
+        }))
+    };
+  }
+
+  // guardrails.rejected lists the { tool, code } results the guardrails must have returned, in order,
+  // and guardrails.verdictAttempts how many verdicts were asked for before one was accepted
+  static checkGuardrails(guardrails, record, provider) {
+    const errors = [];
+    const rejected = (record?.toolCalls || [])
+      .filter(call => call.result && call.result.success === false)
+      .map(call => ({ tool: call.name, code: call.result.code || null }));
+    const expectedRejected = guardrails.rejected || [];
+
+    if (JSON.stringify(rejected) !== JSON.stringify(expectedRejected.map(({ tool, code }) => ({ tool, code })))) {
+      errors.push(`expected rejected calls ${JSON.stringify(expectedRejected)}, got ${JSON.stringify(rejected)}`);
+    }
+
+    if (guardrails.verdictAttempts !== undefined) {
+      const attempts = provider.calls.filter(call => call.responseFormat).length;
+      if (attempts !== guardrails.verdictAttempts) {
+        errors.push(`expected ${guardrails.verdictAttempts} verdict attempt(s), got ${attempts}`);
+      }
+    }
+
+    return errors;
+  }
+
+  // What a model following the workflow and agreeing with the label would do
+  static oracleScript(request, expected) {
+    const grants = expected.grantedBundleIds;
+    const summary = grants.length
+      ? `Granted ${grants.join(', ')} for the resources named in the justification.`
+      : 'No entitlement was granted: the justification does not support this access.';
+
+    return [
+      { tool_calls: [{ name: 'list_entitlement_bundles', arguments: {} }, { name: 'list_user_grants', arguments: { userId: request.userId } }] },
+      ...(grants.length ? [{ tool_calls: [{ name: 'create_grant', arguments: { userId: request.userId, entitlementIds: grants, reasoning: summary } }] }] : []),
+      { tool_calls: [{ name: 'add_request_message', arguments: { requestId: request.accessRequestId, message: summary } }] },
+      { content: summary },
+      {
+        content: {
+          outcome: expected.outcome,
+          requestedBundle: request.accessLevelName,
+          grantedBundleIds: grants,
+          policyRulesCited: [],
+          confidence: 1,
+          requesterMessage: summary
+        }
+      }
+    ];
+  }
+}
+
+function uniquePrompts(results) {
+  const prompts = new Map(results.filter(result => result.prompt).map(result => [result.prompt.sha256, result.prompt]));
+  return [...prompts.values()].sort((a, b) => `${a.name}@${a.version}`.localeCompare(`${b.name}@${b.version}`));
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : Number((numerator / denominator).toFixed(4));
+}
+
+function gitCommit() {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+// node eval-harness.js [--provider fake] [--model m] [--corpus file] [--label name]
+//   [--out report.json] [--baseline earlier-report.json] [--only id,id] [--strict] [--verbose]
+function parseArgs(argv) {
+  const args = { only: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+
+    if (flag === 'strict' || flag === 'verbose') {
+      args[flag] = true;
+    } else if (flag === 'only') {
+      args.only = argv[++i].split(',').map(id => id.trim()).filter(Boolean);
+    } else {
+      args[flag] = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+function formatMetric(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const print = console.log;
+
+  // The MCP layers log every step; keep the harness output readable unless asked
+  if (!args.verbose) {
+    console.log = () => {};
+  }
+
+  // The server's settings, except that Okta is always MockOkta and the provider defaults to fake
+  const config = loadConfig({
+    env: {
+      ...process.env,
+      MOCK_MODE: 'true',
+      LLM_PROVIDER: args.provider || process.env.LLM_PROVIDER || 'fake',
+      ...(args.model ? { LLM_MODEL: args.model } : {})
+    },
+    serve: ['agent']
+  });
+
+  const harness = new EvalHarness({
+    corpusFile: args.corpus ? path.resolve(args.corpus) : DEFAULT_CORPUS_FILE,
+    label: args.label,
+    llm: config.llm.provider === 'fake' ? { provider: 'fake' } : config.llm,
+    config
+  });
+
+  print(`🧪 [Eval] ${harness.label}: ${harness.corpus.cases.length} case(s) from ${path.relative(process.cwd(), harness.corpusFile)}`);
+
+  const report = await harness.run({
+    only: args.only,
+    onCase: result => {
+      const mark = result.error ? '💥' : result.correct ? '✅' : '❌';
+      print(`${mark} ${result.id}: ${result.error || `${result.actual.outcome} [${result.actual.grantedBundleIds.join(', ')}]`}, expected ${result.expected.outcome} [${result.expected.grantedBundleIds.join(', ')}]`);
+      for (const guardrailError of result.guardrailErrors) {
+        print(`   🛡️  ${guardrailError}`);
+      }
+    }
+  });
+
+  if (args.baseline) {
+    report.comparison = EvalHarness.compare(report, JSON.parse(fs.readFileSync(args.baseline, 'utf8')));
+  }
+
+  const outFile = args.out || path.join(DEFAULT_REPORT_DIR, `${report.createdAt.replace(/[:.]/g, '-')}-${report.label.replace(/[^\w.-]+/g, '_')}.json`);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
+
+  print(`\n📜 [Eval] Prompt(s): ${report.prompts.map(prompt => `${prompt.name}@${prompt.version} (${prompt.sha256.slice(0, 12)})`).join(', ') || '-'}`);
+  print('\n📊 [Eval] Metrics');
+  for (const [name, value] of Object.entries(report.metrics)) {
+    print(`   ${name.padEnd(18)} ${formatMetric(value)}`);
+  }
+
+  if (report.comparison) {
+    const { comparison } = report;
+    print(`\n📈 [Eval] Compared with ${comparison.baseline.label} (${comparison.baseline.createdAt})${comparison.corpusChanged ? ' - corpus changed since the baseline' : ''}${comparison.promptsChanged ? ' - prompt templates changed since the baseline' : ''}`);
+    for (const metric of comparison.metrics) {
+      const delta = metric.delta === null ? '-' : `${metric.delta > 0 ? '+' : ''}${metric.delta}`;
+      print(`   ${metric.name.padEnd(18)} ${formatMetric(metric.baseline).padStart(7)} → ${formatMetric(metric.current).padEnd(7)} ${delta}${metric.regressed ? '  ⚠️  regressed' : ''}`);
+    }
+    for (const change of comparison.changedCases) {
+      print(`   ${change.fixed ? '✅ fixed' : '❌ broke'} ${change.id}: [${change.baselineGranted.join(', ')}] → [${change.granted.join(', ')}]`);
+    }
+  }
+
+  print(`\n📝 [Eval] Report written to ${path.relative(process.cwd(), outFile)}`);
+
+  const failures = report.cases.filter(result => !result.correct);
+  if (args.strict && failures.length > 0) {
+    print(`❌ [Eval] ${failures.length} case(s) did not match their labels`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ [Eval] Evaluation failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = EvalHarness;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// JOB QUEUE - Background processing so webhooks are acknowledged immediately
+// ============================================================================
+class JobQueue {
+  constructor(handler, options = {}) {
+    this.handler = handler;
+    this.concurrency = options.concurrency || 2;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.backoffMs = options.backoffMs || 5000;
+    // Unfinished and dead jobs are kept on disk so a restart does not lose acknowledged requests
+    this.file = options.file || null;
+    this.jobs = new Map();
+    this.pending = [];
+    this.deadLetter = [];
+    this.running = 0;
+  }
+
+  enqueue(payload, meta = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      meta,
+      payload,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.persist();
+    console.log(`📥 [Job Queue] Enqueued job ${job.id} (${this.pending.length} waiting, ${this.running} running)`);
+
+    this.drain();
+    return job;
+  }
+
+  // Resumes the jobs a previous run acknowledged but never finished; a job that was
+  // running when the process stopped is run again
+  start() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+
+    const jobs = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+    for (const job of jobs) {
+      this.jobs.set(job.id, job);
+
+      if (job.status === 'dead') {
+        this.deadLetter.push(job);
+      } else if (job.status === 'retrying') {
+        this.retryLater(job, new Date(job.nextAttemptAt).getTime() - Date.now());
+      } else {
+        this.update(job, { status: 'queued' });
+        this.pending.push(job);
+      }
+    }
+
+    console.log(`📥 [Job Queue] Resumed ${jobs.length - this.deadLetter.length} unfinished job(s) from ${this.file}`);
+    this.drain();
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  getDeadLetters() {
+    return this.deadLetter.slice();
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.run(this.pending.shift());
+    }
+  }
+
+  async run(job) {
+    this.running += 1;
+    job.attempts += 1;
+    this.update(job, { status: 'running', nextAttemptAt: null });
+    console.log(`⚙️  [Job Queue] Running job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      const result = await this.handler(job.payload, job);
+      this.update(job, { status: 'completed', result: result ?? null, error: null });
+      console.log(`✅ [Job Queue] Job ${job.id} completed`);
+
+    } catch (error) {
+      this.update(job, { error: error.message });
+
+      if (job.attempts >= job.maxAttempts) {
+        this.update(job, { status: 'dead' });
+        this.deadLetter.push(job);
+        console.error(`💀 [Job Queue] Job ${job.id} moved to dead-letter queue after ${job.attempts} attempts: ${error.message}`);
+      } else {
+        const delay = this.backoffMs * 2 ** (job.attempts - 1);
+        this.update(job, { status: 'retrying', nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+        console.warn(`🔁 [Job Queue] Job ${job.id} failed (${error.message}), retrying in ${delay}ms`);
+        this.retryLater(job, delay);
+      }
+    } finally {
+      this.running -= 1;
+      this.drain();
+    }
+  }
+
+  retryLater(job, delay) {
+    setTimeout(() => {
+      this.pending.push(job);
+      this.drain();
+    }, Math.max(0, delay)).unref();
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.persist();
+  }
+
+  // Completed jobs are left out: their outcome lives in the processing ledger
+  persist() {
+    if (!this.file) {
+      return;
+    }
+
+    const jobs = [...this.jobs.values()].filter(job => job.status !== 'completed');
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(jobs, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Public view of a job; the raw webhook payload stays server-side
+  static describe(job) {
+    const { payload, ...summary } = job;
+    return summary;
+  }
+}
+
+module.exports = JobQueue;
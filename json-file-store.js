@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// A lock older than this belongs to a process that died mid-update
+const STALE_LOCK_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 10;
+
+// ============================================================================
+// JSON FILE STORE - A state file shared by every process running an MCPServer
+// ============================================================================
+// The server and the MCP stdio/HTTP transports can run side by side on the same
+// data files, so every change is applied to what is on disk at that moment
+// rather than to a copy loaded at startup
+class JsonFileStore {
+  constructor(file, empty) {
+    this.file = file;
+    this.empty = empty;
+    this.lockFile = `${file}.lock`;
+  }
+
+  read() {
+    return fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : structuredClone(this.empty);
+  }
+
+  // change receives the current contents and returns the new contents, which are written and returned.
+  // The read and the write happen under a lock file, so concurrent updates from any process are serialized
+  update(change) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.lock();
+
+    try {
+      const data = change(this.read());
+
+      // Per-process temp file so two writers never rename each other's half-written file
+      const tmpFile = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpFile, this.file);
+
+      return data;
+    } finally {
+      fs.rmSync(this.lockFile, { force: true });
+    }
+  }
+
+  lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(this.lockFile, 'wx'));
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (this.removeStaleLock()) {
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        const error = new Error(`Timed out waiting for the lock on ${this.file} (${this.lockFile})`);
+        error.code = 'STORE_LOCKED';
+        throw error;
+      }
+
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_RETRY_MS);
+    }
+  }
+
+  removeStaleLock() {
+    try {
+      if (Date.now() - fs.statSync(this.lockFile).mtimeMs < STALE_LOCK_MS) {
+        return false;
+      }
+      console.warn(`⚠️  [Store] Removing stale lock ${this.lockFile}`);
+      fs.rmSync(this.lockFile, { force: true });
+      return true;
+    } catch (error) {
+      // Released between the failed open and the stat
+      return error.code === 'ENOENT';
+    }
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,189 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+// ============================================================================
+// MCP CLIENT TRANSPORTS - JSON-RPC to MCP servers over stdio or HTTP
+// ============================================================================
+class StdioClientTransport {
+  constructor({ command, args = [], env = {}, cwd }) {
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.exitError = null;
+  }
+
+  async start() {
+    this.child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'inherit']
+    });
+
+    readline.createInterface({ input: this.child.stdout }).on('line', line => this.receive(line));
+
+    // Writes racing the exit fail with EPIPE; the exit handler already rejects those requests
+    this.child.stdin.on('error', () => {});
+
+    this.child.on('exit', code => {
+      this.exitError = new Error(`MCP server "${this.command}" exited with code ${code}`);
+      for (const { reject, timer } of this.pending.values()) {
+        clearTimeout(timer);
+        reject(this.exitError);
+      }
+      this.pending.clear();
+    });
+
+    await new Promise((resolve, reject) => {
+      this.child.once('spawn', resolve);
+      this.child.once('error', reject);
+    });
+  }
+
+  receive(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return;
+    }
+
+    for (const response of Array.isArray(message) ? message : [message]) {
+      const pending = this.pending.get(response.id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pending.delete(response.id);
+        pending.resolve(response);
+      }
+    }
+  }
+
+  request(method, params) {
+    if (this.exitError) {
+      return Promise.reject(this.exitError);
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request ${method} timed out`));
+      }, REQUEST_TIMEOUT_MS);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    });
+  }
+
+  async notify(method, params) {
+    if (this.exitError) {
+      throw this.exitError;
+    }
+
+    this.child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', method, params })}\n`);
+  }
+
+  async close() {
+    this.child?.kill();
+  }
+}
+
+class HttpClientTransport {
+  constructor({ url, token, headers = {} }) {
+    this.url = url;
+    this.headers = {
+      ...headers,
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    };
+    this.nextId = 1;
+    this.sessionId = null;
+  }
+
+  async start() {}
+
+  async request(method, params) {
+    const id = this.nextId++;
+    const response = await this.post({ jsonrpc: '2.0', id, method, params });
+    const messages = parseBody(response);
+    const reply = messages.find(message => message.id === id);
+
+    if (!reply) {
+      throw new Error(`MCP server at ${this.url} sent no response to ${method}`);
+    }
+
+    return reply;
+  }
+
+  async notify(method, params) {
+    await this.post({ jsonrpc: '2.0', method, params });
+  }
+
+  async post(message) {
+    const response = await axios.post(this.url, message, {
+      headers: {
+        ...this.headers,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {})
+      },
+      responseType: 'text',
+      transformResponse: [data => data],
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    this.sessionId = response.headers['mcp-session-id'] || this.sessionId;
+    return response;
+  }
+
+  async close() {
+    if (!this.sessionId) {
+      return;
+    }
+
+    await axios.delete(this.url, { headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId } }).catch(() => {});
+    this.sessionId = null;
+  }
+}
+
+// Streamable HTTP servers answer with either a JSON body or an SSE stream of messages
+function parseBody(response) {
+  const body = response.data || '';
+
+  if (!(response.headers['content-type'] || '').includes('text/event-stream')) {
+    const parsed = body ? JSON.parse(body) : [];
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+
+  return body
+    .split(/\r?\n\r?\n/)
+    .map(event => event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n'))
+    .filter(Boolean)
+    .flatMap(data => {
+      const parsed = JSON.parse(data);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    });
+}
+
+function createTransport(config) {
+  if (config.command) {
+    return new StdioClientTransport(config);
+  }
+
+  if (config.url) {
+    return new HttpClientTransport(config);
+  }
+
+  throw new Error(`MCP server "${config.name}" needs either a command (stdio) or a url (HTTP)`);
+}
+
+module.exports = { StdioClientTransport, HttpClientTransport, createTransport };
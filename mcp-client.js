@@ -1,12 +1,37 @@
-const { OpenAI } = require('openai');
+const crypto = require('crypto');
+const { createProvider } = require('./providers');
+const MCPToolRouter = require('./mcp-tool-router');
+const ApplicationRegistry = require('./application-registry');
+const PromptLibrary = require('./prompt-library');
+const PolicyEngine = require('./policy-engine');
+const { VERDICT_SCHEMA, VERDICT_INSTRUCTIONS, MAX_VERDICT_ATTEMPTS, LIMIT_OUTCOME, validateVerdict } = require('./verdict');
+
+// Per-request budget; running out ends processing with a needs-review verdict
+const DEFAULT_LIMITS = { maxToolRounds: 10, maxTokens: 100000, maxSeconds: 180 };
 
 // ============================================================================
-// MCP CLIENT - GPT-4 that uses MCP tools to accomplish tasks
+// MCP CLIENT - LLM that uses MCP tools to accomplish tasks
 // ============================================================================
 class MCPClient {
-  constructor(mcpServer, openaiApiKey) {
-    this.mcpServer = mcpServer;
-    this.openai = new OpenAI({ apiKey: openaiApiKey });
+  // mcpServer is an in-process MCPServer; options.servers adds MCP servers reached over
+  // stdio or HTTP, whose tools are discovered with tools/list. options.llm takes config.llm,
+  // options.limits config.agent and options.prompts a PromptLibrary
+  constructor(mcpServer, options = {}) {
+    this.mcpServer = options.servers
+      ? new MCPToolRouter([...(mcpServer ? [{ name: 'okta', instance: mcpServer }] : []), ...options.servers])
+      : mcpServer;
+    this.provider = options.provider || createProvider(options.llm);
+    this.ledger = options.ledger || null;
+    this.auditLog = options.auditLog || null;
+    this.applications = options.applications || ApplicationRegistry.load();
+    this.prompts = options.prompts || PromptLibrary.load();
+    // An application naming a template that does not exist fails here rather than per request
+    for (const application of this.applications.applications) {
+      if (application.prompt) {
+        this.prompts.select(application.prompt);
+      }
+    }
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
   }
 
   async processAccessRequest(webhookData) {
@@ -15,79 +40,331 @@ class MCPClient {
     console.log(`🎯 [MCP Client] Requested role: ${webhookData.accessLevelName}`);
     console.log(`📝 [MCP Client] Justification: "${webhookData.justification}"`);
 
-    const systemPrompt = `You are a SENIOR SECURITY ENGINEER evaluating access requests for Google Cloud Project (GCP) roles to a production environment from engineers an enterprise company. You must make decisions that enforce least privilege but also ensure business continuity.
+    const requestId = webhookData.accessRequestId;
+    // Shadow runs never touch the ledger so a later live delivery starts clean
+    const ledger = requestId && !webhookData.shadowMode ? this.ledger : null;
+    const startedAt = Date.now();
+    const context = {
+      request: webhookData,
+      completedStages: {},
+      shadow: Boolean(webhookData.shadowMode),
+      startedAt,
+      trace: {
+        toolCalls: [],
+        toolRounds: 0,
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, llmCalls: 0 },
+        timings: { llmMs: 0, toolMs: 0 }
+      }
+    };
+
+    if (ledger) {
+      const { entry, completedStages } = ledger.begin(requestId);
+      if (entry.status === 'completed') {
+        console.log(`♻️  [MCP Client] Request ${requestId} was already processed, returning earlier outcome`);
+        return entry.outcome;
+      }
+      context.completedStages = completedStages;
+    }
 
-REQUIREMENTS:
-1. Justifications within the request must contain meaningful information including:
-	a. Incident/Reference number OR explicit statement this is routine/planned work
-	b. Specific GCP resource types (storage, bigquery, kubernetes, logs, compute, vertex-ai, etc.)
-	c. Clear description of planned actions with those resources
-2. NEVER grant admin roles unless the justification explicitly mentions admin tasks such as, but not limited to,  "create", "delete", "configure", "manage infrastructure"
-3. Do not generate values foruserId or requestId
-4. When calling add_request_message, you MUST use requestId: "${webhookData.accessRequestId}"
-5. When calling create_grant, you MUST use userId: "${webhookData.userId}"
+    const application = this.applications.resolve(webhookData);
 
+    if (!application) {
+      const message = `No application configured for resource "${webhookData.resourceName || webhookData.catalogEntryId}"`;
+      console.error(`❌ [MCP Client] ${message}`);
+      ledger?.fail(requestId, message);
+      throw new Error(message);
+    }
 
+    context.application = application;
+    const { profile } = application;
+    console.log(`🗂️  [MCP Client] Target application: ${application.name} (${application.applicationId}, resolved by ${application.resolvedBy})`);
 
-CURRENT REQUEST ANALYSIS:
-- User Email: ${webhookData.userEmail}
-- userId: ${webhookData.userId}
-- GCP role name: "${webhookData.accessLevelName}"
-- GCP role description: "${webhookData.accessLevelDescription}"
-- Catalog Entry ID: ${webhookData.catalogEntryId}
-- Justification: "${webhookData.justification}"
+    await this.mcpServer.connect?.();
+    // Ticket checks are only prompted for when a ticket system is configured
+    const verifiesTickets = this.mcpServer.getTools().some(tool => tool.function.name === 'verify_ticket');
 
-MANDATORY WORKFLOW:
-1. Determine if the justification includes the required information (incident number/info, GPC resources, intent w/GCP resources).  If it does not, stop processing send a message of the justification on having enough information
-2. If the justification contains the necessary information, then call list_entitlement_bundles to see all available roles and descriptions from the catalog
-3. Compare the description of the role requested against the justification the user provided
-	a.  If the requested role and role description aligns with the justification, then grant the role
-    b.  If the requested role is over-permissive (for ex. they request a role with admin privileges) but there is no clear justification (ie mention of modifying the system via update, delete, configure, etc.), grant a less permissive entitlement based on the resources included in the justification.  Only grant a single bundle which directly maps to GCP resources mentioned explicitly in the justification      
-4. Provide details for why the roles were granted and why if the original role requested was not grated.  Include in the details what roles were ultiamtely granted
-5. Only grant bundles to GCP resources EXPLICITLY MENTIONED in the justification. For example, only grant Vertex bundles when the jusitifcation mentiones AI or machine learning, etc., grant BigQuery when justification includes terms like database, grant Storage entitlements when files or cloud storage is mentioned
+    let template;
+    try {
+      template = this.prompts.selectFor(application);
+    } catch (error) {
+      console.error(`❌ [MCP Client] ${error.message}`);
+      ledger?.fail(requestId, error.message);
+      throw error;
+    }
 
-Remember: Your job is to enable legitimate work while minimizing access to unnecessary permissions and enforcing the principal of least privilege`;
+    const systemPrompt = this.prompts.render(template, {
+      request: webhookData,
+      application,
+      profile: { ...profile, resourceKeywords: ApplicationRegistry.describeResourceKeywords(profile) },
+      verifiesTickets
+    });
+    context.prompt = { name: template.name, version: template.version, sha256: template.sha256 };
 
-    console.log('🎉 [MCP Client] Prompt');
+    console.log(`📜 [MCP Client] Prompt ${template.name}@${template.version} (${template.sha256.slice(0, 12)})`);
     console.log(systemPrompt);
 
+
+    // One conversation for the whole request, so every turn keeps the system prompt
+    context.messages = [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: "Process this access request autonomously." }
+    ];
+
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [{ role: "system", content: systemPrompt }],
-        tools: this.mcpServer.getTools(),
-        tool_choice: "auto",
-        temperature: 0.1
-      });
+      let finalMessage = null;
+      let verdict;
+      let limit = null;
 
-      await this.handleToolCalls(response);
-      
+      try {
+        const response = await this.createCompletion(context.messages, context);
+        const finalResponse = await this.handleToolCalls(response, context);
+        finalMessage = finalResponse.message.content;
+        verdict = await this.requestVerdict(finalResponse.message, context);
+      } catch (error) {
+        if (error.code !== 'LIMIT_REACHED') {
+          throw error;
+        }
+        limit = error.limit;
+        verdict = await this.handOffToHuman(context, error);
+      }
+
+      const outcome = { accessRequestId: requestId, ...verdict };
+      const { usage, toolRounds } = context.trace;
+
+      if (ledger) {
+        ledger.recordStage(requestId, 'evaluated', { verdict, usage, limit, prompt: context.prompt });
+        ledger.complete(requestId, outcome);
+      }
+
+      this.recordAudit(context, startedAt, { status: 'completed', finalMessage, verdict, limit });
+
+      console.log(`📊 [MCP Client] Used ${usage.totalTokens} tokens in ${usage.llmCalls} LLM call(s) and ${toolRounds} tool round(s)`);
       console.log('🎉 [MCP Client] Access request processing completed autonomously');
+      return outcome;
       
     } catch (error) {
       console.error('❌ [MCP Client] Error processing access request:', error.message);
+      ledger?.fail(requestId, error.message);
+      this.recordAudit(context, startedAt, { status: 'failed', error: error.message });
       throw error;
     }
   }
 
-  async handleToolCalls(response) {
+  // Grants and messages completed by an earlier delivery of the same request are
+  // replayed from the ledger instead of being sent to Okta a second time
+  async executeTool(toolName, args, context) {
+    const requestId = context.request?.accessRequestId;
+    const ledger = requestId && !context.shadow ? this.ledger : null;
+    const recorded = ledger ? ledger.replay(context.completedStages || {}, toolName, args) : null;
+
+    if (recorded) {
+      console.log(`  ♻️  Replaying ${toolName} result recorded by an earlier attempt`);
+      PolicyEngine.recordGrant(context, toolName, args, recorded);
+      return recorded;
+    }
+
+    const result = await this.mcpServer.executeTool(toolName, args, context);
+    ledger?.recordTool(requestId, toolName, args, result);
+    return result;
+  }
+
+  // Asks for the final decision as JSON matching VERDICT_SCHEMA and re-asks with the
+  // validation errors until it conforms and its grants match the create_grant results
+  async requestVerdict(finalMessage, context) {
+    // In shadow mode the model was told its grants succeeded, so its verdict is checked against the simulated ones
+    const grantedBundleIds = [...grantedBundles(context), ...simulatedBundles(context)];
+    const parkedBundleIds = parkedBundles(context);
+    const messages = [
+      ...(context.messages || []),
+      finalMessage,
+      { role: "user", content: `Requested role: "${context.request.accessLevelName}"\n\n${VERDICT_INSTRUCTIONS}` }
+    ];
+
+    for (let attempt = 1; attempt <= MAX_VERDICT_ATTEMPTS; attempt++) {
+      const response = await this.createCompletion(messages, context, {
+        tools: [],
+        responseFormat: { name: 'access_verdict', schema: VERDICT_SCHEMA }
+      });
+      const { verdict, errors } = validateVerdict(response.message.content, grantedBundleIds, parkedBundleIds);
+
+      if (verdict) {
+        console.log(`⚖️  [MCP Client] Verdict: ${verdict.outcome} (confidence ${verdict.confidence})`);
+        return verdict;
+      }
+
+      console.log(`  ⚠️  Invalid verdict (attempt ${attempt}/${MAX_VERDICT_ATTEMPTS}): ${errors.join('; ')}`);
+      messages.push(
+        { role: "assistant", content: response.message.content || '' },
+        { role: "user", content: `That verdict is invalid:\n- ${errors.join('\n- ')}\nReturn the corrected JSON verdict only.` }
+      );
+    }
+
+    throw new Error(`No valid verdict after ${MAX_VERDICT_ATTEMPTS} attempts`);
+  }
+
+  // Stops a request that has used up its tool-round, token or time budget. Grants and messages from
+  // earlier turns stand, anything the model had not yet done is left to a human approver
+  async handOffToHuman(context, error) {
+    const { request } = context;
+    const grantedBundleIds = grantedBundles(context);
+    const grantedNames = grantedBundleIds.map(id => context.catalog?.bundles.find(bundle => bundle.id === id)?.name || id);
+    const requesterMessage = `Automated review stopped before reaching a decision: ${error.message}. `
+      + (grantedNames.length > 0 ? `Granted so far: ${grantedNames.join(', ')}. ` : '')
+      + 'This request needs review by an approver.';
+
+    console.log(`⏱️  [MCP Client] ${error.message}, handing request ${request.accessRequestId} to a human approver`);
+
+    if (request.accessRequestId) {
+      const startedAt = Date.now();
+      const args = { requestId: request.accessRequestId, message: requesterMessage };
+
+      try {
+        const result = await this.executeTool('add_request_message', args, context);
+        this.traceToolCall(context, 'add_request_message', args, result, startedAt);
+      } catch (messageError) {
+        console.error('❌ [MCP Client] Could not post the hand-off message:', messageError.message);
+        this.traceToolCall(context, 'add_request_message', args, { success: false, error: messageError.message }, startedAt);
+      }
+    }
+
+    return {
+      outcome: LIMIT_OUTCOME,
+      requestedBundle: request.accessLevelName || '',
+      grantedBundleIds,
+      policyRulesCited: [],
+      confidence: 0,
+      requesterMessage
+    };
+  }
+
+  // Calls without a trace (outside processAccessRequest) are not budgeted
+  async createCompletion(messages, context = {}, { tools = this.mcpServer.getTools(), responseFormat } = {}) {
+    const startedAt = Date.now();
+    let response;
+
+    if (context.trace) {
+      const { maxTokens, maxSeconds } = this.limits;
+      const remainingMs = context.startedAt + maxSeconds * 1000 - startedAt;
+
+      if (context.trace.usage.totalTokens >= maxTokens) {
+        throw limitReached('maxTokens', maxTokens, context.trace.usage.totalTokens, 'token');
+      }
+      if (remainingMs <= 0) {
+        throw limitReached('maxSeconds', maxSeconds, Math.round((startedAt - context.startedAt) / 1000), 'time (seconds)');
+      }
+
+      // A slow completion is abandoned once the time budget runs out
+      let timer;
+      const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(limitReached('maxSeconds', maxSeconds, maxSeconds, 'time (seconds)')), remainingMs);
+      });
+
+      try {
+        response = await Promise.race([this.provider.complete({ messages, tools, responseFormat }), deadline]);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const { usage, timings } = context.trace;
+      timings.llmMs += Date.now() - startedAt;
+      usage.promptTokens += response.usage.promptTokens;
+      usage.completionTokens += response.usage.completionTokens;
+      usage.totalTokens += response.usage.totalTokens;
+      usage.llmCalls += 1;
+    } else {
+      response = await this.provider.complete({ messages, tools, responseFormat });
+    }
+
+    return response;
+  }
+
+  recordAudit(context, startedAt, { status, finalMessage = null, verdict = null, error = null, limit = null }) {
+    if (!this.auditLog) {
+      return;
+    }
+
+    const { request, trace } = context;
+    // Remote MCP servers keep their catalog to themselves, so fall back to the listing the model saw
+    const listing = trace.toolCalls.filter(call => call.name === 'list_entitlement_bundles' && call.result?.success).pop();
+    const catalog = context.catalog || (listing ? { bundles: listing.result.data } : null);
+    const describe = grant => ({
+      ...grant,
+      name: catalog?.bundles.find(bundle => bundle.id === grant.entitlementBundleId)?.name || null
+    });
+
+    try {
+      this.auditLog.append({
+        id: crypto.randomUUID(),
+        accessRequestId: request.accessRequestId || null,
+        status,
+        shadow: Boolean(context.shadow),
+        error,
+        provider: this.provider.name,
+        model: this.provider.model,
+        startedAt: new Date(startedAt).toISOString(),
+        completedAt: new Date().toISOString(),
+        input: request,
+        application: context.application ? { key: context.application.key, applicationId: context.application.applicationId } : null,
+        prompt: context.prompt || null,
+        catalog: catalog || null,
+        toolCalls: trace.toolCalls,
+        grants: grantCalls(context, false).flatMap(call => call.result.data.map(describe)),
+        simulatedGrants: grantCalls(context, true).flatMap(call => call.result.data.map(describe)),
+        finalMessage,
+        verdict,
+        limit,
+        usage: { ...trace.usage, toolRounds: trace.toolRounds },
+        timings: { ...trace.timings, totalMs: Date.now() - startedAt }
+      });
+    } catch (auditError) {
+      console.error('❌ [MCP Client] Failed to write audit record:', auditError.message);
+    }
+  }
+
+  async handleToolCalls(response, context = {}) {
     let currentResponse = response;
-    const messages = [{ role: "system", content: "Process this access request autonomously." }];
+    const messages = context.messages;
+    let rounds = 0;
+
+    while (currentResponse.message.tool_calls) {
+      const message = currentResponse.message;
 
-    while (currentResponse.choices[0].message.tool_calls) {
-      const message = currentResponse.choices[0].message;
+      if (rounds >= this.limits.maxToolRounds) {
+        throw limitReached('maxToolRounds', this.limits.maxToolRounds, rounds, 'tool round');
+      }
+
+      rounds += 1;
+      if (context.trace) {
+        context.trace.toolRounds = rounds;
+      }
       messages.push(message);
 
       console.log(`\n🔄 [MCP Client] AI wants to call ${message.tool_calls.length} tool(s):`);
 
       for (const toolCall of message.tool_calls) {
         const toolName = toolCall.function.name;
-        const args = JSON.parse(toolCall.function.arguments);
+        const toolStartedAt = Date.now();
+        let args;
+
+        try {
+          args = JSON.parse(toolCall.function.arguments || '{}');
+        } catch (error) {
+          const result = {
+            success: false,
+            code: 'INVALID_ARGUMENTS',
+            error: `Arguments for ${toolName} are not valid JSON (${error.message}). Call the tool again with a JSON object.`
+          };
+          console.log(`  ❌ ${result.error}`);
+          this.traceToolCall(context, toolName, toolCall.function.arguments, result, toolStartedAt);
+          messages.push({ role: "tool", tool_call_id: toolCall.id, content: JSON.stringify(result) });
+          continue;
+        }
         
         console.log(`  📞 Calling: ${toolName}(${JSON.stringify(args)})`);
         
         try {
-          const result = await this.mcpServer.executeTool(toolName, args);
+          const result = await this.executeTool(toolName, args, context);
+          this.traceToolCall(context, toolName, args, result, toolStartedAt);
           
           messages.push({
             role: "tool",
@@ -99,6 +376,7 @@ Remember: Your job is to enable legitimate work while minimizing access to unnec
           
         } catch (error) {
           console.log(`  ❌ Tool error: ${error.message}`);
+          this.traceToolCall(context, toolName, args, { success: false, error: error.message }, toolStartedAt);
           messages.push({
             role: "tool", 
             tool_call_id: toolCall.id,
@@ -107,22 +385,55 @@ Remember: Your job is to enable legitimate work while minimizing access to unnec
         }
       }
 
-      currentResponse = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: messages,
-        tools: this.mcpServer.getTools(),
-        tool_choice: "auto",
-        temperature: 0.1
-      });
+      currentResponse = await this.createCompletion(messages, context);
 
-      if (!currentResponse.choices[0].message.tool_calls) {
+      if (!currentResponse.message.tool_calls) {
         console.log('\n🧠 [MCP Client] AI Final Decision:');
-        console.log(currentResponse.choices[0].message.content);
+        console.log(currentResponse.message.content);
       }
     }
 
     return currentResponse;
   }
+
+  traceToolCall(context, name, args, result, startedAt) {
+    if (!context.trace) {
+      return;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    context.trace.timings.toolMs += durationMs;
+    context.trace.toolCalls.push({ name, args, result, startedAt: new Date(startedAt).toISOString(), durationMs });
+  }
+}
+
+// Successful create_grant calls, either the ones executed in Okta or the ones shadow mode only simulated
+function grantCalls(context, simulated) {
+  return context.trace.toolCalls
+    .filter(call => call.name === 'create_grant' && call.result?.success && Array.isArray(call.result.data))
+    .filter(call => Boolean(call.result.shadow) === simulated);
+}
+
+function grantedBundles(context) {
+  return grantCalls(context, false).flatMap(call => call.result.data.map(grant => grant.entitlementBundleId));
+}
+
+function simulatedBundles(context) {
+  return grantCalls(context, true).flatMap(call => call.result.data.map(grant => grant.entitlementBundleId));
+}
+
+// Bundles whose create_grant was parked for a human approver instead of granted
+function parkedBundles(context) {
+  return context.trace.toolCalls
+    .filter(call => call.name === 'create_grant' && call.result?.status === 'pending_approval')
+    .flatMap(call => call.args.entitlementIds || []);
+}
+
+function limitReached(name, max, used, label) {
+  const error = new Error(`the ${label} limit was reached (${used} of ${max})`);
+  error.code = 'LIMIT_REACHED';
+  error.limit = { name, max, used };
+  return error;
 }
 
-module.exports = MCPClient;
\ No newline at end of file
+module.exports = MCPClient;
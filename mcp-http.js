@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const express = require('express');
+const { MCPProtocolHandler, JSON_RPC_ERRORS, errorResponse } = require('./mcp-protocol');
+
+// ============================================================================
+// MCP HTTP TRANSPORT - Streamable HTTP (JSON or SSE responses) on one endpoint
+// ============================================================================
+function createMcpHttpRouter(mcpServer, { token } = {}) {
+  const handler = new MCPProtocolHandler(mcpServer);
+  const sessions = new Map();
+  const router = express.Router();
+
+  // These tools can create real grants, so the endpoint is never served unauthenticated
+  router.use((req, res, next) => {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(req.get('authorization') || '');
+
+    if (!token || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return res.status(401).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Unauthorized'));
+    }
+
+    next();
+  });
+
+  router.post('/', async (req, res) => {
+    const body = req.body;
+    const messages = Array.isArray(body) ? body : [body];
+    const isInitialize = messages.some(message => message?.method === 'initialize');
+    let sessionId = req.get('mcp-session-id');
+    let session = sessionId && sessions.get(sessionId);
+
+    if (isInitialize) {
+      sessionId = crypto.randomUUID();
+      session = handler.createSession();
+      sessions.set(sessionId, session);
+    } else if (!sessionId) {
+      return res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Missing Mcp-Session-Id header'));
+    } else if (!session) {
+      return res.status(404).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, `Unknown session ${sessionId}`));
+    }
+
+    res.set('Mcp-Session-Id', sessionId);
+
+    const responses = (await Promise.all(messages.map(message => handler.handle(message, session)))).filter(Boolean);
+
+    // Only notifications or responses were posted
+    if (responses.length === 0) {
+      return res.status(202).end();
+    }
+
+    const payload = Array.isArray(body) ? responses : responses[0];
+
+    if (!(req.get('accept') || '').includes('text/event-stream')) {
+      return res.json(payload);
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    for (const response of Array.isArray(payload) ? payload : [payload]) {
+      res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+    }
+    res.end();
+  });
+
+  // No server-initiated messages are sent, so there is no standalone SSE stream
+  router.get('/', (req, res) => {
+    res.set('Allow', 'POST, DELETE').status(405).end();
+  });
+
+  router.delete('/', (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+
+    if (!sessionId || !sessions.delete(sessionId)) {
+      return res.status(404).end();
+    }
+
+    console.log(`🔌 [MCP HTTP] Session ${sessionId} closed`);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createMcpHttpRouter };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const MCPServer = require('./mcp-server');
+  const { loadConfig } = require('./config');
+
+  let config;
+  try {
+    config = loadConfig({ serve: ['mcp-http'] });
+  } catch (error) {
+    console.error(`❌ [Config] ${error.message}`);
+    process.exit(1);
+  }
+
+  // Grants made over this transport are time-bound too, so revocations are armed here as well
+  const mcpServer = new MCPServer(config);
+  mcpServer.revocations.start();
+
+  const app = express();
+  const { port, token } = config.mcp.http;
+  app.use(express.json());
+  app.use('/mcp', createMcpHttpRouter(mcpServer, { token }));
+
+  app.listen(port, () => {
+    console.log(`🔌 [MCP HTTP] Okta governance MCP server on http://localhost:${port}/mcp`);
+  });
+}
@@ -0,0 +1,135 @@
+const packageJson = require('./package.json');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+// ============================================================================
+// MCP PROTOCOL - JSON-RPC 2.0 Model Context Protocol handler for MCPServer
+// ============================================================================
+class MCPProtocolHandler {
+  constructor(mcpServer) {
+    this.mcpServer = mcpServer;
+  }
+
+  // A session carries tool context between calls (e.g. the catalog listed before
+  // create_grant), one per stdio process or per HTTP Mcp-Session-Id
+  createSession() {
+    return { initialized: false, protocolVersion: null, context: {}, requests: new Map() };
+  }
+
+  // Returns the JSON-RPC response, or null for notifications
+  async handle(message, session) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return errorResponse(message?.id ?? null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request');
+    }
+
+    const isNotification = message.id === undefined;
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {}, session);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+
+    } catch (error) {
+      if (isNotification) {
+        return null;
+      }
+      return errorResponse(message.id, error.code || JSON_RPC_ERRORS.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  async dispatch(method, params, session) {
+    switch (method) {
+      case 'initialize':
+        return this.initialize(params, session);
+      case 'notifications/initialized':
+        session.initialized = true;
+        return {};
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: this.listTools() };
+      case 'tools/call':
+        return await this.callTool(params, session);
+      default:
+        if (method.startsWith('notifications/')) {
+          return {};
+        }
+        throw rpcError(JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  initialize(params, session) {
+    const requested = params.protocolVersion;
+    session.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    console.log(`🔌 [MCP Protocol] Initialized session with ${params.clientInfo?.name || 'unknown client'} (protocol ${session.protocolVersion})`);
+
+    return {
+      protocolVersion: session.protocolVersion,
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: 'okta-governance-mcp', version: packageJson.version },
+      instructions: 'Okta Identity Governance tools. Call list_entitlement_bundles before create_grant; grants are limited to bundles from that catalog and checked against the access policy.'
+    };
+  }
+
+  // The MCPServer tool definitions are OpenAI function schemas; MCP uses the same
+  // JSON Schema under inputSchema
+  listTools() {
+    return this.mcpServer.getTools().map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      inputSchema: tool.function.parameters
+    }));
+  }
+
+  async callTool(params, session) {
+    const { name, arguments: args = {} } = params;
+
+    if (!this.listTools().some(tool => tool.name === name)) {
+      throw rpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    // Hosts acting on a specific access request pass it as _meta.request so policy
+    // rules see the justification; each request then gets its own tool context
+    const request = params._meta?.request;
+    const context = request ? this.requestContext(session, request) : session.context;
+
+    console.log(`🔌 [MCP Protocol] tools/call ${name}`);
+    const result = await this.mcpServer.executeTool(name, args, context);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result) }],
+      structuredContent: result,
+      isError: result.success === false
+    };
+  }
+
+  requestContext(session, request) {
+    const key = request.accessRequestId || 'unknown';
+
+    if (!session.requests.has(key)) {
+      session.requests.set(key, { request, shadow: Boolean(request.shadowMode) });
+    }
+
+    return session.requests.get(key);
+  }
+}
+
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+module.exports = { MCPProtocolHandler, JSON_RPC_ERRORS, SUPPORTED_PROTOCOL_VERSIONS, errorResponse };
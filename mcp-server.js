@@ -1,4 +1,15 @@
-const axios = require('axios');
+const OktaClient = require('./okta-client');
+const MockOkta = require('./mock-okta');
+const PolicyEngine = require('./policy-engine');
+const ApplicationRegistry = require('./application-registry');
+const { checkGrantScope } = require('./catalog-scope');
+const CatalogCache = require('./catalog-cache');
+const { validate } = require('./json-schema');
+const { parseDuration, expiresAt } = require('./duration');
+const RevocationScheduler = require('./revocation-scheduler');
+const ApprovalQueue = require('./approval-queue');
+const ShadowStore = require('./shadow-store');
+const { createTicketBackends, assessTicket } = require('./ticket-backends');
 
 // ============================================================================
 // MCP SERVER - Pure tool execution, no business logic
@@ -6,21 +17,35 @@ const axios = require('axios');
 class MCPServer {
   constructor(config) {
     this.config = config;
+    this.okta = config.okta.client || MCPServer.createOktaClient(config);
+    this.policyEngine = PolicyEngine.load(config.policy?.file);
+    this.applications = ApplicationRegistry.load(config.applications?.file);
+    this.catalog = new CatalogCache(applicationId => this.fetchEntitlementBundles(applicationId), {
+      ttlMs: (config.catalog?.ttlSeconds ?? 300) * 1000,
+      file: config.catalog?.file,
+      refreshIntervalMs: (config.catalog?.refreshSeconds || 0) * 1000
+    });
+    this.revocations = new RevocationScheduler(this, config.revocation?.queueFile);
+    this.approvalMode = config.approval?.mode || 'off';
+    this.approvals = new ApprovalQueue(this, config.approval?.file);
+    this.shadow = new ShadowStore(this, config.shadow?.file);
+    this.tickets = createTicketBackends(config.tickets);
     this.tools = [
       {
         type: "function",
         function: {
           name: 'list_entitlement_bundles',
-          description: 'Get all available GCP role entitlement bundles from Okta for a specific application',
+          description: 'Get all available role entitlement bundles from Okta for the application targeted by the access request',
           parameters: {
             type: 'object',
             properties: {
               applicationId: {
                 type: 'string',
-                description: 'The Okta application ID for GCP (e.g., 0oavij8jl7fx84fA5697)'
+                description: 'The Okta application ID (e.g., 0oavij8jl7fx84fA5697). Optional: the catalog is always scoped to the application of the access request'
               }
             },
-            required: ['applicationId']
+            required: [],
+            additionalProperties: false
           }
         }
       },
@@ -46,7 +71,8 @@ class MCPServer {
                 description: 'Explanation of why these roles were chosen'
               }
             },
-            required: ['userId', 'entitlementIds', 'reasoning']
+            required: ['userId', 'entitlementIds', 'reasoning'],
+            additionalProperties: false
           }
         }
       },
@@ -67,39 +93,110 @@ class MCPServer {
                 description: 'The final determination of the LLM which includes what entitlement bundles were granted, if any, and the reasoning'
               }
             },
-            required: ['requestId', 'message']
+            required: ['requestId', 'message'],
+            additionalProperties: false
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: 'get_user_profile',
+          description: "Get the requester's Okta profile: title, department, division, manager and employment type (e.g. Employee or Contractor)",
+          parameters: {
+            type: 'object',
+            properties: {
+              userId: {
+                type: 'string',
+                description: 'User ID of the requester (e.g., 00uq3zp622HWDY2Jc697)'
+              }
+            },
+            required: ['userId'],
+            additionalProperties: false
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: 'list_user_groups',
+          description: 'List the Okta groups the requester belongs to, which indicate their team and existing access',
+          parameters: {
+            type: 'object',
+            properties: {
+              userId: {
+                type: 'string',
+                description: 'User ID of the requester (e.g., 00uq3zp622HWDY2Jc697)'
+              }
+            },
+            required: ['userId'],
+            additionalProperties: false
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: 'list_user_grants',
+          description: 'List the entitlement bundle grants the requester already holds for the application of the access request, to avoid granting a bundle twice',
+          parameters: {
+            type: 'object',
+            properties: {
+              userId: {
+                type: 'string',
+                description: 'User ID of the requester (e.g., 00uq3zp622HWDY2Jc697)'
+              },
+              applicationId: {
+                type: 'string',
+                description: 'The Okta application ID. Optional: always scoped to the application of the access request'
+              }
+            },
+            required: ['userId'],
+            additionalProperties: false
           }
         }
       }
     ];
+
+    // Offered only when a ticket system is configured
+    if (this.tickets.length > 0) {
+      this.tools.push({
+        type: "function",
+        function: {
+          name: 'verify_ticket',
+          description: 'Check that an incident or ticket number cited in the justification exists, is still open, and is assigned to or involves the requester',
+          parameters: {
+            type: 'object',
+            properties: {
+              ticketId: {
+                type: 'string',
+                description: 'The incident or ticket number as cited in the justification (e.g., INC0012345, OPS-42, PT4KHLK)'
+              },
+              userId: {
+                type: 'string',
+                description: 'User ID of the requester (e.g., 00uq3zp622HWDY2Jc697)'
+              },
+              system: {
+                type: 'string',
+                enum: this.tickets.map(backend => backend.name),
+                description: 'Ticket system to look in. Optional: inferred from the ticket number format'
+              }
+            },
+            required: ['ticketId', 'userId'],
+            additionalProperties: false
+          }
+        }
+      });
+    }
   }
 
-  async listEntitlementBundles(applicationId) {    
+  async listEntitlementBundles(applicationId) {
     try {
       console.log(`🔧 [MCP Tool] Listing entitlement bundles for app: ${applicationId}`);
-      
-      const response = await axios.get(
-        `${this.config.okta.baseUrl}/governance/api/v1/entitlement-bundles`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'Authorization': this.config.okta.token
-          },
-          params: {
-            filter: `target.externalId eq "${applicationId}" AND target.type eq "APPLICATION"`
-          }
-        }
-      );
-      
-      const bundles = response.data.data.map(bundle => ({
-        id: bundle.id,
-        name: bundle.name,
-        description: bundle.description,
-        status: bundle.status
-      }));
-      
-      console.log(`✅ [MCP Tool] Retrieved ${bundles.length} entitlement bundles`);
+
+      const { bundles, fetchedAt } = await this.catalog.get(applicationId);
+
+      console.log(`✅ [MCP Tool] Retrieved ${bundles.length} entitlement bundles (listed ${fetchedAt})`);
       return { success: true, data: bundles };
       
     } catch (error) {
@@ -108,52 +205,97 @@ class MCPServer {
     }
   }
 
+  // Reads every page of the application's catalog
+  async fetchEntitlementBundles(applicationId) {
+    const bundles = await this.okta.getAll('/governance/api/v1/entitlement-bundles', {
+      params: { filter: `target.externalId eq "${applicationId}" AND target.type eq "APPLICATION"` }
+    });
+
+    return bundles.map(bundle => ({
+      id: bundle.id,
+      name: bundle.name,
+      description: bundle.description,
+      status: bundle.status,
+      applicationId: bundle.target?.externalId || applicationId
+    }));
+  }
+
+
   async createGrant(userId, applicationId, entitlementIds, reasoning) {    
-    try {
-      console.log(`🔧 [MCP Tool] Creating grants for user ${userId} with ${entitlementIds.length} entitlement bundles`);
-      console.log(`💭 [MCP Tool] Reasoning: ${reasoning}`);
-      
-      const grantResults = [];
-      
-      for (const entitlementId of entitlementIds) {
-        const grantData = {
-          grantType: "ENTITLEMENT-BUNDLE",
-          entitlementBundleId: entitlementId,
-          actor: "ACCESS_REQUEST",
-          targetPrincipal: {
-            externalId: userId,
-            type: "OKTA_USER"
-          }
-        };
+    console.log(`🔧 [MCP Tool] Creating grants for user ${userId} with ${entitlementIds.length} entitlement bundles`);
+    console.log(`💭 [MCP Tool] Reasoning: ${reasoning}`);
 
-        console.log(`📦 [MCP Tool] Creating grant for entitlement bundle: ${entitlementId}`);
-
-        const response = await axios.post(
-          `${this.config.okta.baseUrl}/governance/api/v1/grants`,
-          grantData,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Accept': 'application/json',
-              'Authorization': this.config.okta.token
-            }
-          }
-        );
+    const grantResults = [];
+    const failed = [];
+
+    for (const entitlementId of entitlementIds) {
+      const grantData = {
+        grantType: "ENTITLEMENT-BUNDLE",
+        entitlementBundleId: entitlementId,
+        actor: "ACCESS_REQUEST",
+        targetPrincipal: {
+          externalId: userId,
+          type: "OKTA_USER"
+        }
+      };
+
+      console.log(`📦 [MCP Tool] Creating grant for entitlement bundle: ${entitlementId}`);
+
+      try {
+        const response = await this.okta.post('/governance/api/v1/grants', grantData);
 
         grantResults.push({
           entitlementBundleId: entitlementId,
           grantId: response.data.id,
           status: 'created'
         });
-        
+
         console.log(`✅ [MCP Tool] Grant created for bundle ${entitlementId}: ${response.data.id}`);
+
+      } catch (error) {
+        console.error(`❌ [MCP Tool] Error creating grant for bundle ${entitlementId}:`, error.response?.data || error.message);
+        failed.push({
+          entitlementBundleId: entitlementId,
+          status: 'failed',
+          httpStatus: error.response?.status || null,
+          error: error.response?.data?.errorSummary || error.message
+        });
       }
+    }
 
+    if (failed.length === 0) {
       console.log(`🎉 [MCP Tool] All ${grantResults.length} grants created successfully`);
-      return { success: true, data: grantResults, reasoning };
-      
+      return { success: true, data: grantResults, failed, reasoning };
+    }
+
+    // A partial batch still succeeds for the bundles that were granted; failed lists the rest
+    console.log(`⚠️  [MCP Tool] ${grantResults.length} of ${entitlementIds.length} grants created`);
+    return {
+      success: grantResults.length > 0,
+      partial: grantResults.length > 0,
+      data: grantResults,
+      failed,
+      error: `${failed.length} of ${entitlementIds.length} grant(s) failed: ${failed.map(failure => `${failure.entitlementBundleId} (${failure.error})`).join(', ')}`,
+      reasoning
+    };
+  }
+
+  async revokeGrant(grantId) {
+    try {
+      console.log(`🔧 [MCP Tool] Revoking grant ${grantId}`);
+
+      await this.okta.delete(`/governance/api/v1/grants/${grantId}`);
+
+      console.log(`✅ [MCP Tool] Grant ${grantId} revoked`);
+      return { success: true, grantId };
+
     } catch (error) {
-      console.error('❌ [MCP Tool] Error creating grant:', error.response?.data || error.message);
+      if (error.response?.status === 404) {
+        console.warn(`⚠️  [MCP Tool] Grant ${grantId} no longer exists in Okta`);
+        return { success: false, code: 'GRANT_NOT_FOUND', error: `Grant ${grantId} not found` };
+      }
+
+      console.error('❌ [MCP Tool] Error revoking grant:', error.response?.data || error.message);
       return { success: false, error: error.message };
     }
   }
@@ -163,17 +305,7 @@ class MCPServer {
       console.log(`🔧 [MCP Tool] Adding message to request ${requestId}`);
       console.log(`💬 [MCP Tool] Message: ${message}`);
       
-      const response = await axios.post(
-        `${this.config.okta.baseUrl}/governance/api/v2/requests/${requestId}/messages`,
-        { message },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': this.config.okta.token
-          }
-        }
-      );
+      const response = await this.okta.post(`/governance/api/v2/requests/${requestId}/messages`, { message });
 
       console.log(`✅ [MCP Tool] Message added to request ${requestId}`);
       return { success: true, data: response.data };
@@ -184,7 +316,312 @@ class MCPServer {
     }
   }
 
-  async executeTool(toolName, args) {
+  async getUserProfile(userId) {
+    try {
+      console.log(`🔧 [MCP Tool] Fetching profile for user ${userId}`);
+
+      const response = await this.okta.get(`/api/v1/users/${encodeURIComponent(userId)}`);
+      const profile = response.data.profile || {};
+
+      return {
+        success: true,
+        data: {
+          id: response.data.id,
+          status: response.data.status,
+          login: profile.login,
+          email: profile.email,
+          displayName: profile.displayName || [profile.firstName, profile.lastName].filter(Boolean).join(' '),
+          title: profile.title || null,
+          department: profile.department || null,
+          division: profile.division || null,
+          organization: profile.organization || null,
+          // userType is Okta's base attribute; orgs sourcing from HR often use employeeType
+          employmentType: profile.userType || profile.employeeType || null,
+          manager: profile.manager || null,
+          created: response.data.created
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ [MCP Tool] Error fetching user profile:', error.response?.data || error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listUserGroups(userId) {
+    try {
+      console.log(`🔧 [MCP Tool] Listing groups for user ${userId}`);
+
+      const groups = await this.okta.getAll(`/api/v1/users/${encodeURIComponent(userId)}/groups`, { params: { limit: 200 } });
+
+      console.log(`✅ [MCP Tool] User ${userId} is in ${groups.length} group(s)`);
+      return {
+        success: true,
+        data: groups.map(group => ({
+          id: group.id,
+          name: group.profile?.name,
+          description: group.profile?.description || null,
+          type: group.type
+        }))
+      };
+
+    } catch (error) {
+      console.error('❌ [MCP Tool] Error listing user groups:', error.response?.data || error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listUserGrants(userId, applicationId) {
+    try {
+      console.log(`🔧 [MCP Tool] Listing grants for user ${userId} on app: ${applicationId}`);
+
+      const grants = await this.okta.getAll('/governance/api/v1/grants', {
+        params: {
+          filter: `target.externalId eq "${applicationId}" AND target.type eq "APPLICATION" AND targetPrincipal.externalId eq "${userId}" AND targetPrincipal.type eq "OKTA_USER"`
+        }
+      });
+
+      console.log(`✅ [MCP Tool] User ${userId} holds ${grants.length} grant(s)`);
+      return {
+        success: true,
+        data: grants.map(grant => ({
+          grantId: grant.id,
+          grantType: grant.grantType,
+          entitlementBundleId: grant.entitlementBundleId || null,
+          status: grant.status,
+          created: grant.created
+        }))
+      };
+
+    } catch (error) {
+      console.error('❌ [MCP Tool] Error listing user grants:', error.response?.data || error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The first configured backend whose ID pattern matches is asked, unless the
+  // model names the system
+  async verifyTicket(ticketId, userId, system) {
+    const backend = this.tickets.find(backend => system ? backend.name === system : backend.pattern.test(ticketId));
+
+    if (!backend) {
+      return {
+        success: false,
+        code: 'UNKNOWN_TICKET_SYSTEM',
+        error: `No configured ticket system recognises "${ticketId}" (configured: ${this.tickets.map(backend => backend.name).join(', ')})`
+      };
+    }
+
+    // The ID ends up in the backend's query, so a named system still has to accept its format
+    if (!backend.pattern.test(ticketId)) {
+      return {
+        success: false,
+        code: 'INVALID_TICKET_ID',
+        error: `"${ticketId}" is not a valid ${backend.name} ticket ID`
+      };
+    }
+
+    try {
+      console.log(`🎫 [MCP Tool] Verifying ticket ${ticketId} in ${backend.name}`);
+
+      const ticket = await backend.lookup(ticketId);
+
+      if (!ticket) {
+        console.log(`🚫 [MCP Tool] Ticket ${ticketId} not found in ${backend.name}`);
+        return {
+          success: true,
+          data: { ticketId, system: backend.name, exists: false, verified: false, reasons: [`${ticketId} does not exist in ${backend.name}`] }
+        };
+      }
+
+      const profile = await this.getUserProfile(userId);
+      const assessment = assessTicket(ticket, [userId, profile.data?.login, profile.data?.email]);
+
+      console.log(`${assessment.verified ? '✅' : '🚫'} [MCP Tool] Ticket ${ticket.id}: ${assessment.verified ? 'verified' : assessment.reasons.join('; ')}`);
+      return { success: true, data: { system: backend.name, ...assessment } };
+
+    } catch (error) {
+      console.error('❌ [MCP Tool] Error verifying ticket:', error.response?.data || error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getAccessRequest(requestId) {
+    try {
+      console.log(`🔧 [MCP Tool] Fetching access request ${requestId}`);
+
+      const response = await this.okta.get(`/governance/api/v2/requests/${requestId}`);
+
+      return { success: true, data: response.data };
+
+    } catch (error) {
+      console.error('❌ [MCP Tool] Error fetching access request:', error.response?.data || error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async executeTool(toolName, args, context = {}) {
+    const argumentError = this.validateArguments(toolName, args, context);
+    if (argumentError) {
+      console.log(`🚫 [MCP Server] ${argumentError.error}`);
+      return argumentError;
+    }
+
+    const applicationId = this.resolveApplication(context)?.applicationId || args.applicationId || this.config.okta.applicationId;
+
+    if (toolName === 'list_entitlement_bundles' || toolName === 'list_user_grants') {
+      if (args.applicationId && args.applicationId !== applicationId) {
+        console.log(`🗂️  [MCP Server] ${toolName} scoped to ${applicationId} instead of requested ${args.applicationId}`);
+      }
+      args = { ...args, applicationId };
+    }
+
+    if (toolName === 'create_grant') {
+      const scopeError = checkGrantScope(args.entitlementIds, context.catalog, applicationId);
+      if (scopeError) {
+        console.log(`🚫 [MCP Server] ${scopeError.error}`);
+        return scopeError;
+      }
+
+      const accessDuration = context.request?.accessDuration;
+      if (accessDuration && !parseDuration(accessDuration)) {
+        return {
+          success: false,
+          code: 'INVALID_ACCESS_DURATION',
+          error: `Grant refused: access duration "${accessDuration}" is not a valid ISO-8601 duration`
+        };
+      }
+    }
+
+    const decision = this.policyEngine.evaluate(toolName, args, context);
+    const reasons = decision.violations.map(violation => violation.reason).join('; ');
+
+    if (!decision.allowed) {
+      console.log(`🛡️  [Policy] Rejected ${toolName}: ${reasons}`);
+      return {
+        success: false,
+        code: 'POLICY_VIOLATION',
+        error: 'Rejected by access policy. Choose a different entitlement bundle or explain why none can be granted.',
+        violations: decision.violations
+      };
+    }
+
+    if (decision.violations.length > 0) {
+      console.log(`🛡️  [Policy] Downgraded ${toolName}: ${reasons}`);
+    }
+
+    const riskReasons = toolName === 'create_grant' ? this.assessApproval(decision, context) : [];
+
+    if (context.shadow && ShadowStore.simulates(toolName)) {
+      const simulated = this.shadow.simulate(toolName, decision.args, context.request || {}, {
+        violations: decision.violations,
+        riskReasons
+      });
+      PolicyEngine.recordGrant(context, toolName, decision.args, simulated);
+      return simulated;
+    }
+
+    if (riskReasons.length > 0) {
+      const parked = this.approvals.park(decision.args, context.request || {}, riskReasons, context.catalog);
+      PolicyEngine.recordGrant(context, toolName, decision.args, parked);
+      return parked;
+    }
+
+    const result = await this.dispatchTool(toolName, decision.args);
+    PolicyEngine.recordGrant(context, toolName, decision.args, result);
+
+    if (toolName === 'list_entitlement_bundles' && result.success) {
+      context.catalog = {
+        applicationId: decision.args.applicationId,
+        bundles: result.data,
+        listedAt: new Date().toISOString()
+      };
+    }
+
+    if (toolName === 'create_grant' && result.success && context.request?.accessDuration) {
+      this.scheduleRevocations(result.data, decision.args.userId, context.request);
+    }
+
+    if (decision.violations.length > 0) {
+      result.policy = { downgraded: true, violations: decision.violations };
+    }
+
+    return result;
+  }
+
+  // The application comes from the access request, whatever catalog the model names;
+  // MCP protocol callers without a request fall back to the applicationId argument
+  resolveApplication(context) {
+    if (context.application === undefined && context.request) {
+      context.application = this.applications.resolve(context.request);
+    }
+    return context.application || null;
+  }
+
+  // Checks arguments against the tool's declared parameters schema, then that the
+  // requester and request IDs are the ones from the webhook rather than model-supplied
+  validateArguments(toolName, args, context) {
+    const tool = this.tools.find(tool => tool.function.name === toolName);
+
+    if (!tool) {
+      return null;
+    }
+
+    const errors = validate(tool.function.parameters, args, 'arguments');
+    const request = context.request || {};
+
+    // Grants and requester lookups are limited to the requester
+    if (errors.length === 0 && args.userId !== undefined && request.userId && args.userId !== request.userId) {
+      errors.push(`arguments.userId must be the requester's user ID "${request.userId}", got "${args.userId}"`);
+    }
+
+    if (errors.length === 0 && toolName === 'add_request_message' && request.accessRequestId && args.requestId !== request.accessRequestId) {
+      errors.push(`arguments.requestId must be the access request ID "${request.accessRequestId}", got "${args.requestId}"`);
+    }
+
+    if (errors.length === 0) {
+      return null;
+    }
+
+    return {
+      success: false,
+      code: 'INVALID_ARGUMENTS',
+      error: `Invalid arguments for ${toolName}: ${errors.join('; ')}`,
+      errors
+    };
+  }
+
+  // Reasons a grant must wait for a human under the configured approval mode
+  assessApproval(decision, context) {
+    if (this.approvalMode === 'off') {
+      return [];
+    }
+
+    if (this.approvalMode === 'all') {
+      return ['Approval mode requires a human to review every grant'];
+    }
+
+    return this.policyEngine.assessRisk(decision.args, context, decision.violations);
+  }
+
+  // Time-bound grants are revoked locally once the requested access duration elapses
+  scheduleRevocations(grants, userId, request) {
+    const expiry = expiresAt(request.accessDuration);
+
+    for (const grant of grants) {
+      grant.expiresAt = expiry.toISOString();
+      this.revocations.schedule({
+        grantId: grant.grantId,
+        entitlementBundleId: grant.entitlementBundleId,
+        userId,
+        requestId: request.accessRequestId,
+        accessDuration: request.accessDuration,
+        expiresAt: expiry
+      });
+    }
+  }
+
+  async dispatchTool(toolName, args) {
     switch (toolName) {
       case 'list_entitlement_bundles':
         return await this.listEntitlementBundles(args.applicationId);
@@ -192,6 +629,14 @@ class MCPServer {
         return await this.createGrant(args.userId, null, args.entitlementIds, args.reasoning);
       case 'add_request_message':
         return await this.addRequestMessage(args.requestId, args.message);
+      case 'get_user_profile':
+        return await this.getUserProfile(args.userId);
+      case 'list_user_groups':
+        return await this.listUserGroups(args.userId);
+      case 'list_user_grants':
+        return await this.listUserGrants(args.userId, args.applicationId);
+      case 'verify_ticket':
+        return await this.verifyTicket(args.ticketId, args.userId, args.system);
       default:
         throw new Error(`Unknown MCP tool: ${toolName}`);
     }
@@ -200,6 +645,18 @@ class MCPServer {
   getTools() {
     return this.tools;
   }
+
+  // Mock mode swaps in MockOkta, which has the same surface as OktaClient; okta.client
+  // injects any other such client directly
+  static createOktaClient(config) {
+    if (!config.mockMode) {
+      return new OktaClient(config.okta);
+    }
+
+    const { fixturesFile } = config.okta;
+    console.log(`🎭 [MOCK MODE] Okta calls are served by MockOkta from ${fixturesFile || 'fixtures/okta.json'}`);
+    return new MockOkta(MockOkta.loadFixtures(fixturesFile));
+  }
 }
 
 module.exports = MCPServer;
\ No newline at end of file
@@ -0,0 +1,68 @@
+const readline = require('readline');
+const { MCPProtocolHandler, JSON_RPC_ERRORS, errorResponse } = require('./mcp-protocol');
+
+// ============================================================================
+// MCP STDIO TRANSPORT - Newline-delimited JSON-RPC over stdin/stdout
+// ============================================================================
+function serveStdio(mcpServer, { input = process.stdin, output = process.stdout } = {}) {
+  const handler = new MCPProtocolHandler(mcpServer);
+  const session = handler.createSession();
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const send = message => output.write(`${JSON.stringify(message)}\n`);
+
+  lines.on('line', async line => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(errorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+      return;
+    }
+
+    if (Array.isArray(message)) {
+      const responses = (await Promise.all(message.map(entry => handler.handle(entry, session)))).filter(Boolean);
+      if (responses.length > 0) {
+        send(responses);
+      }
+      return;
+    }
+
+    const response = await handler.handle(message, session);
+    if (response) {
+      send(response);
+    }
+  });
+
+  return lines;
+}
+
+module.exports = { serveStdio };
+
+if (require.main === module) {
+  // stdout carries the protocol, so the tool logging goes to stderr
+  console.log = console.error;
+
+  require('dotenv').config();
+  const MCPServer = require('./mcp-server');
+  const { loadConfig } = require('./config');
+
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error(`❌ [Config] ${error.message}`);
+    process.exit(1);
+  }
+
+  // Grants made over this transport are time-bound too, so revocations are armed here as well
+  const mcpServer = new MCPServer(config);
+  mcpServer.revocations.start();
+
+  serveStdio(mcpServer);
+  console.error('🔌 [MCP Stdio] Okta governance MCP server listening on stdio');
+}
@@ -0,0 +1,152 @@
+const packageJson = require('./package.json');
+const { createTransport } = require('./mcp-client-transports');
+const { SUPPORTED_PROTOCOL_VERSIONS } = require('./mcp-protocol');
+
+// ============================================================================
+// MCP TOOL ROUTER - Discovers tools on MCP servers and routes calls to them
+// ============================================================================
+// Exposes the same getTools()/executeTool() surface as MCPServer, so MCPClient
+// can drive any mix of in-process and remote tool servers
+class MCPToolRouter {
+  // servers: [{ name, instance }] for in-process MCPServers, [{ name, command, args, env }]
+  // for stdio servers, [{ name, url, token }] for Streamable HTTP servers; remote servers
+  // with trusted: true also receive the access request
+  constructor(servers = []) {
+    this.servers = servers;
+    this.connections = [];
+    this.routes = new Map();
+    this.tools = [];
+    this.connecting = null;
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.connectAll();
+    }
+    return this.connecting;
+  }
+
+  async connectAll() {
+    for (const server of this.servers) {
+      try {
+        const connection = server.instance ? inProcessConnection(server) : await remoteConnection(server);
+        this.connections.push(connection);
+        this.register(connection);
+        console.log(`🔗 [MCP Router] ${server.name}: ${connection.tools.map(tool => tool.name).join(', ')}`);
+      } catch (error) {
+        console.error(`❌ [MCP Router] Could not connect to MCP server ${server.name}:`, error.message);
+      }
+    }
+  }
+
+  // Tool names must be unique for the LLM; a clash is resolved by prefixing the server name
+  register(connection) {
+    for (const tool of connection.tools) {
+      const exposedName = this.routes.has(tool.name) ? `${connection.name}__${tool.name}` : tool.name;
+
+      this.routes.set(exposedName, { connection, toolName: tool.name });
+      this.tools.push({
+        type: "function",
+        function: {
+          name: exposedName,
+          description: tool.description || '',
+          parameters: tool.inputSchema || { type: 'object', properties: {} }
+        }
+      });
+    }
+  }
+
+  getTools() {
+    return this.tools;
+  }
+
+  async executeTool(toolName, args, context = {}) {
+    const route = this.routes.get(toolName);
+
+    if (!route) {
+      throw new Error(`Unknown MCP tool: ${toolName}`);
+    }
+
+    return await route.connection.callTool(route.toolName, args, context);
+  }
+
+  async close() {
+    await Promise.all(this.connections.map(connection => connection.close()));
+  }
+}
+
+function inProcessConnection({ name, instance }) {
+  return {
+    name,
+    tools: instance.getTools().map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      inputSchema: tool.function.parameters
+    })),
+    callTool: (toolName, args, context) => instance.executeTool(toolName, args, context),
+    close: async () => {}
+  };
+}
+
+async function remoteConnection(server) {
+  const transport = createTransport(server);
+  await transport.start();
+
+  const call = async (method, params) => {
+    const response = await transport.request(method, params);
+    if (response.error) {
+      throw new Error(`${method} failed on ${server.name}: ${response.error.message}`);
+    }
+    return response.result;
+  };
+
+  await call('initialize', {
+    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+    capabilities: {},
+    clientInfo: { name: 'oig-access-request-agent', version: packageJson.version }
+  });
+  await transport.notify('notifications/initialized');
+
+  const tools = [];
+  let cursor;
+  do {
+    const page = await call('tools/list', cursor ? { cursor } : {});
+    tools.push(...page.tools);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return {
+    name: server.name,
+    tools,
+    // The access request carries the requester's email and justification, so it only
+    // travels (as _meta) to servers trusted to apply their own request-scoped checks
+    callTool: async (toolName, args, context) => {
+      const result = await call('tools/call', {
+        name: toolName,
+        arguments: args,
+        ...(server.trusted && context.request ? { _meta: { request: context.request } } : {})
+      });
+      return toToolResult(result);
+    },
+    close: () => transport.close()
+  };
+}
+
+function toToolResult(result) {
+  if (result.structuredContent) {
+    return result.structuredContent;
+  }
+
+  const text = (result.content || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return result.isError ? { success: false, error: text } : { success: true, data: text };
+  }
+}
+
+module.exports = MCPToolRouter;
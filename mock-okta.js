@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, 'fixtures', 'okta.json');
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+
+const ROUTES = [
+  ['GET', /^\/api\/v1\/users\/([^/]+)$/, 'getUser'],
+  ['GET', /^\/api\/v1\/users\/([^/]+)\/groups$/, 'listUserGroups'],
+  ['GET', /^\/governance\/api\/v1\/entitlement-bundles$/, 'listEntitlementBundles'],
+  ['GET', /^\/governance\/api\/v1\/grants$/, 'listGrants'],
+  ['POST', /^\/governance\/api\/v1\/grants$/, 'createGrant'],
+  ['GET', /^\/governance\/api\/v1\/grants\/([^/]+)$/, 'getGrant'],
+  ['DELETE', /^\/governance\/api\/v1\/grants\/([^/]+)$/, 'revokeGrant'],
+  ['GET', /^\/governance\/api\/v2\/requests\/([^/]+)$/, 'getRequest'],
+  ['POST', /^\/governance\/api\/v2\/requests\/([^/]+)\/messages$/, 'addRequestMessage']
+];
+
+// ============================================================================
+// MOCK OKTA - In-memory Okta and Governance APIs seeded from fixtures
+// ============================================================================
+// Exposes the same get/post/delete/getAll surface as OktaClient, so an MCPServer
+// can run against it without a tenant. Failures are thrown shaped like axios errors.
+// options.baseUrl makes pagination links absolute, as Okta's are
+class MockOkta {
+  constructor(fixtures = MockOkta.loadFixtures(), { baseUrl = '' } = {}) {
+    this.fixtures = fixtures;
+    this.baseUrl = baseUrl;
+    this.reset();
+  }
+
+  static loadFixtures(file = DEFAULT_FIXTURES_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Restores the seeded state, dropping grants and messages created since
+  reset() {
+    const seed = structuredClone(this.fixtures);
+    this.users = seed.users || [];
+    this.groups = seed.groups || [];
+    this.bundles = seed.entitlementBundles || [];
+    this.grants = seed.grants || [];
+    this.requests = seed.requests || [];
+  }
+
+  addRequest(request) {
+    const entry = { status: 'PENDING', created: new Date().toISOString(), messages: [], ...request };
+    this.requests.push(entry);
+    return entry;
+  }
+
+  get(path, options = {}) {
+    return this.request({ ...options, method: 'GET', path });
+  }
+
+  post(path, data, options = {}) {
+    return this.request({ ...options, method: 'POST', path, data });
+  }
+
+  delete(path, options = {}) {
+    return this.request({ ...options, method: 'DELETE', path });
+  }
+
+  async getAll(path, { params } = {}) {
+    const items = [];
+    let url = path;
+
+    while (url) {
+      const response = await this.get(url, { params });
+      items.push(...(Array.isArray(response.data) ? response.data : response.data.data || []));
+      url = response.data._links?.next?.href || null;
+      params = undefined;
+    }
+
+    return items;
+  }
+
+  async request({ method, path: url, params = {}, data }) {
+    const { pathname, searchParams } = new URL(url, 'http://mock-okta');
+    const query = { ...Object.fromEntries(searchParams), ...params };
+
+    for (const [routeMethod, pattern, handler] of ROUTES) {
+      const match = method === routeMethod && pathname.match(pattern);
+      if (match) {
+        const { status = 200, data: body } = this[handler](...match.slice(1).map(decodeURIComponent), { pathname, query, data });
+        return respond(method, pathname, status, body);
+      }
+    }
+
+    return respond(method, pathname, 404, errorBody('E0000022', `The endpoint does not support the provided HTTP method`));
+  }
+
+  status() {
+    return { auth: 'mock', circuit: 'closed', consecutiveFailures: 0, openedAt: null, rateLimitedUntil: null };
+  }
+
+  getUser(userId) {
+    const user = this.users.find(user => user.id === userId || user.profile.login === userId);
+    return user ? { data: user } : notFound(`${userId} (User)`);
+  }
+
+  listUserGroups(userId) {
+    if (!this.users.some(user => user.id === userId)) {
+      return notFound(`${userId} (User)`);
+    }
+
+    return {
+      data: this.groups
+        .filter(group => (group.members || []).includes(userId))
+        .map(({ members, ...group }) => group)
+    };
+  }
+
+  listEntitlementBundles(options) {
+    return this.page(this.bundles.filter(matchesFilter(options.query.filter)), options);
+  }
+
+  listGrants(options) {
+    return this.page(this.grants.filter(grant => grant.status === 'ACTIVE').filter(matchesFilter(options.query.filter)), options);
+  }
+
+  getGrant(grantId) {
+    const grant = this.grants.find(grant => grant.id === grantId);
+    return grant ? { data: grant } : notFound(`${grantId} (Grant)`);
+  }
+
+  // Governance list responses: { data, _links: { self, next } }, where `after` is the
+  // ID of the last item on the previous page
+  page(items, { pathname, query }) {
+    const limit = Math.min(Number(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const afterIndex = query.after ? items.findIndex(item => item.id === query.after) : -1;
+    // An unknown cursor ends the listing rather than starting it over
+    const start = query.after && afterIndex === -1 ? items.length : afterIndex + 1;
+    const data = items.slice(start, start + limit);
+    const link = params => `${this.baseUrl}${pathname}?${new URLSearchParams(params)}`;
+    const { after, ...rest } = query;
+
+    return {
+      data: {
+        data,
+        _links: {
+          self: { href: link(query) },
+          ...(start + limit < items.length ? { next: { href: link({ ...rest, limit, after: data[data.length - 1].id }) } } : {})
+        }
+      }
+    };
+  }
+
+  createGrant(options) {
+    const { entitlementBundleId, targetPrincipal } = options.data || {};
+    const bundle = this.bundles.find(bundle => bundle.id === entitlementBundleId);
+
+    if (!bundle) {
+      return { status: 400, data: errorBody('E0000001', `Api validation failed: entitlement bundle ${entitlementBundleId} does not exist`) };
+    }
+    if (!this.users.some(user => user.id === targetPrincipal?.externalId)) {
+      return { status: 400, data: errorBody('E0000001', `Api validation failed: user ${targetPrincipal?.externalId} does not exist`) };
+    }
+
+    const grant = {
+      id: `0gr${crypto.randomBytes(8).toString('hex')}`,
+      status: 'ACTIVE',
+      created: new Date().toISOString(),
+      ...options.data,
+      target: bundle.target
+    };
+    this.grants.push(grant);
+    return { data: grant };
+  }
+
+  revokeGrant(grantId) {
+    const grant = this.grants.find(grant => grant.id === grantId);
+
+    if (!grant) {
+      return notFound(`${grantId} (Grant)`);
+    }
+
+    grant.status = 'REVOKED';
+    return { status: 204, data: '' };
+  }
+
+  getRequest(requestId) {
+    const request = this.requests.find(request => request.id === requestId);
+    return request ? { data: request } : notFound(`${requestId} (Request)`);
+  }
+
+  // Requests are raised in OIG, which is not emulated, so any request ID is accepted
+  addRequestMessage(requestId, options) {
+    const request = this.requests.find(request => request.id === requestId) || this.addRequest({ id: requestId });
+    const message = { id: crypto.randomUUID(), message: options.data?.message, created: new Date().toISOString() };
+    request.messages = [...(request.messages || []), message];
+    return { data: message };
+  }
+}
+
+// Supports the `field eq "value" AND ...` filters the MCP server sends
+function matchesFilter(filter) {
+  const clauses = [...(filter || '').matchAll(/([\w.]+) eq "([^"]*)"/g)];
+
+  return item => clauses.every(([, field, value]) => field.split('.').reduce((current, key) => current?.[key], item) === value);
+}
+
+function notFound(resource) {
+  return { status: 404, data: errorBody('E0000007', `Not found: Resource not found: ${resource}`) };
+}
+
+function errorBody(errorCode, errorSummary) {
+  return { errorCode, errorSummary, errorId: crypto.randomUUID(), errorCauses: [] };
+}
+
+function respond(method, pathname, status, data) {
+  const response = { status, data, headers: {} };
+
+  if (status >= 400) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = response;
+    error.config = { method, url: pathname };
+    throw error;
+  }
+
+  return response;
+}
+
+module.exports = MockOkta;
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+// Least-privilege scopes for the governance calls the agent makes
+const DEFAULT_SCOPES = [
+  'okta.governance.entitlements.read',
+  'okta.governance.entitlements.manage',
+  'okta.governance.accessRequests.read',
+  'okta.governance.accessRequests.manage',
+  'okta.users.read',
+  'okta.groups.read'
+];
+// Tokens are refreshed this long before they expire
+const EXPIRY_SKEW_MS = 60 * 1000;
+const ASSERTION_LIFETIME_SECONDS = 300;
+
+// ============================================================================
+// OKTA AUTH - Authorization headers for Okta API calls (SSWS token or OAuth 2.0)
+// ============================================================================
+// Both strategies expose headers(method, url); OAuth also handles 401 challenges
+class SswsAuth {
+  constructor(token) {
+    this.mode = 'ssws';
+    this.token = token;
+  }
+
+  async headers() {
+    return { 'Authorization': this.token };
+  }
+
+  handleChallenge() {
+    return false;
+  }
+}
+
+// Client credentials grant for an Okta API service app, authenticating with a signed
+// private_key_jwt client assertion instead of a client secret
+class OAuthClientCredentials {
+  constructor({ baseUrl, clientId, privateKey, privateKeyFile, keyId, scopes = DEFAULT_SCOPES, dpop = false, tokenUrl }) {
+    if (!clientId || !(privateKey || privateKeyFile)) {
+      throw new Error('Okta OAuth mode needs OKTA_CLIENT_ID and OKTA_PRIVATE_KEY or OKTA_PRIVATE_KEY_FILE');
+    }
+
+    const keyMaterial = privateKey || fs.readFileSync(privateKeyFile, 'utf8');
+    const jwk = keyMaterial.trim().startsWith('{') ? JSON.parse(keyMaterial) : null;
+
+    this.mode = 'oauth';
+    this.clientId = clientId;
+    this.tokenUrl = tokenUrl || `${baseUrl}/oauth2/v1/token`;
+    this.scopes = scopes;
+    this.privateKey = jwk ? crypto.createPrivateKey({ key: jwk, format: 'jwk' }) : crypto.createPrivateKey(keyMaterial);
+    this.keyId = keyId || jwk?.kid;
+    this.dpopKey = dpop ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }) : null;
+    this.dpopNonces = new Map();
+    this.token = null;
+    this.fetching = null;
+  }
+
+  async headers(method, url) {
+    const token = await this.accessToken();
+
+    if (!this.dpopKey) {
+      return { 'Authorization': `Bearer ${token.value}` };
+    }
+
+    return {
+      'Authorization': `DPoP ${token.value}`,
+      'DPoP': this.dpopProof(method, url, { ath: base64url(crypto.createHash('sha256').update(token.value).digest()) })
+    };
+  }
+
+  // Returns true when the request should be retried: the server asked for a DPoP
+  // nonce, or rejected the access token (revoked or expired early)
+  handleChallenge(response, url) {
+    if (!response || response.status !== 401) {
+      return false;
+    }
+
+    const nonce = response.headers?.['dpop-nonce'];
+    if (this.dpopKey && nonce) {
+      this.dpopNonces.set(new URL(url).origin, nonce);
+      return true;
+    }
+
+    if (/invalid_token/.test(response.headers?.['www-authenticate'] || '')) {
+      this.token = null;
+      return true;
+    }
+
+    return false;
+  }
+
+  // Cached until shortly before expiry; concurrent callers share one token request
+  async accessToken() {
+    if (this.token && this.token.expiresAt - EXPIRY_SKEW_MS > Date.now()) {
+      return this.token;
+    }
+
+    if (!this.fetching) {
+      this.fetching = this.requestToken().finally(() => {
+        this.fetching = null;
+      });
+    }
+
+    return this.fetching;
+  }
+
+  async requestToken(retriedForNonce = false) {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      scope: this.scopes.join(' '),
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: this.clientAssertion()
+    });
+
+    try {
+      const response = await axios.post(this.tokenUrl, body.toString(), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json',
+          ...(this.dpopKey ? { 'DPoP': this.dpopProof('POST', this.tokenUrl) } : {})
+        }
+      });
+
+      this.token = {
+        value: response.data.access_token,
+        type: response.data.token_type,
+        scope: response.data.scope,
+        expiresAt: Date.now() + response.data.expires_in * 1000
+      };
+
+      console.log(`🔑 [Okta Auth] Access token issued for ${this.token.scope || this.scopes.join(' ')} (expires ${new Date(this.token.expiresAt).toISOString()})`);
+      return this.token;
+
+    } catch (error) {
+      // Okta answers the first DPoP token request with use_dpop_nonce and the nonce to sign
+      const nonce = error.response?.headers?.['dpop-nonce'];
+      if (this.dpopKey && !retriedForNonce && error.response?.data?.error === 'use_dpop_nonce' && nonce) {
+        this.dpopNonces.set(new URL(this.tokenUrl).origin, nonce);
+        return this.requestToken(true);
+      }
+
+      const reason = error.response?.data?.error_description || error.message;
+      throw new Error(`Okta token request failed: ${reason}`);
+    }
+  }
+
+  clientAssertion() {
+    const now = Math.floor(Date.now() / 1000);
+
+    return signJwt(
+      { alg: algorithmFor(this.privateKey), typ: 'JWT', ...(this.keyId ? { kid: this.keyId } : {}) },
+      { iss: this.clientId, sub: this.clientId, aud: this.tokenUrl, iat: now, exp: now + ASSERTION_LIFETIME_SECONDS, jti: crypto.randomUUID() },
+      this.privateKey
+    );
+  }
+
+  // DPoP proof bound to one HTTP method and URL (without query string)
+  dpopProof(method, url, claims = {}) {
+    const target = new URL(url);
+    const nonce = this.dpopNonces.get(target.origin);
+
+    return signJwt(
+      { alg: 'ES256', typ: 'dpop+jwt', jwk: this.dpopKey.publicKey.export({ format: 'jwk' }) },
+      {
+        htm: method.toUpperCase(),
+        htu: `${target.origin}${target.pathname}`,
+        iat: Math.floor(Date.now() / 1000),
+        jti: crypto.randomUUID(),
+        ...(nonce ? { nonce } : {}),
+        ...claims
+      },
+      this.dpopKey.privateKey
+    );
+  }
+}
+
+function createOktaAuth(okta = {}) {
+  const auth = okta.auth || {};
+
+  if ((auth.mode || 'ssws') === 'ssws') {
+    return new SswsAuth(okta.token);
+  }
+
+  if (auth.mode === 'oauth') {
+    return new OAuthClientCredentials({ baseUrl: okta.baseUrl, ...auth });
+  }
+
+  throw new Error(`Unknown Okta auth mode: ${auth.mode} (expected ssws or oauth)`);
+}
+
+function algorithmFor(key) {
+  return key.asymmetricKeyType === 'ec' ? 'ES256' : 'RS256';
+}
+
+function signJwt(header, payload, key) {
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  // JWS wants the raw r||s form of ECDSA signatures rather than DER
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
+  return `${signingInput}.${base64url(signature)}`;
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+module.exports = { createOktaAuth, SswsAuth, OAuthClientCredentials, DEFAULT_SCOPES };
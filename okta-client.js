@@ -0,0 +1,246 @@
+const axios = require('axios');
+const { createOktaAuth } = require('./okta-auth');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+// Connection failures where the request never reached Okta, safe to retry for any method
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const TRANSIENT_CODES = [...NOT_SENT_CODES, 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+// ============================================================================
+// OKTA CLIENT - Shared HTTP client with rate limiting, retries and a circuit breaker
+// ============================================================================
+class OktaClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl;
+    // SSWS token or OAuth 2.0 service app, depending on options.auth.mode
+    this.auth = options.authenticator || createOktaAuth(options);
+    this.timeoutMs = options.timeoutMs || 30 * 1000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.maxDelayMs = options.maxDelayMs ?? 30 * 1000;
+    // Waiting out a rate limit longer than this fails the call instead
+    this.maxRateLimitWaitMs = options.maxRateLimitWaitMs ?? 60 * 1000;
+    this.breaker = {
+      failureThreshold: options.breaker?.failureThreshold || 5,
+      resetMs: options.breaker?.resetMs || 30 * 1000,
+      state: 'closed',
+      failures: 0,
+      openedAt: null
+    };
+    this.rateLimitedUntil = 0;
+  }
+
+  get(path, options = {}) {
+    return this.request({ ...options, method: 'GET', path });
+  }
+
+  post(path, data, options = {}) {
+    return this.request({ ...options, method: 'POST', path, data });
+  }
+
+  delete(path, options = {}) {
+    return this.request({ ...options, method: 'DELETE', path });
+  }
+
+  // Reads every page of a list endpoint. Core APIs link the next page in the Link
+  // header, governance APIs in _links.next; either link already carries the query
+  async getAll(path, { params } = {}) {
+    const items = [];
+    const visited = new Set();
+    let url = path;
+
+    while (url && !visited.has(url)) {
+      visited.add(url);
+
+      const response = await this.get(url, { params });
+      items.push(...(Array.isArray(response.data) ? response.data : response.data.data || []));
+
+      url = nextLink(response);
+      params = undefined;
+    }
+
+    return items;
+  }
+
+  // POSTs are only retried when Okta certainly did not act on them (429, connection
+  // refused); pass idempotent: true for POSTs that are safe to repeat
+  async request({ method, path, data, params, headers = {}, idempotent = SAFE_METHODS.includes(method) }) {
+    this.checkBreaker();
+
+    const url = path.startsWith('http') ? path : `${this.baseUrl}${path}`;
+    let challenged = false;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit();
+
+      try {
+        const response = await axios.request({
+          method,
+          url,
+          data,
+          params,
+          timeout: this.timeoutMs,
+          headers: {
+            'Accept': 'application/json',
+            ...(data !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(await this.auth.headers(method, url)),
+            ...headers
+          }
+        });
+
+        this.trackRateLimit(response);
+        this.recordSuccess();
+        return response;
+
+      } catch (error) {
+        // A 401 asking for a DPoP nonce or a fresh token is answered once, outside the retry budget
+        if (!challenged && this.auth.handleChallenge(error.response, url)) {
+          challenged = true;
+          attempt--;
+          continue;
+        }
+
+        const delay = this.retryDelay(error, attempt, idempotent);
+
+        if (isDegraded(error)) {
+          this.recordFailure();
+        }
+
+        if (delay === null || this.breaker.state === 'open') {
+          throw error;
+        }
+
+        console.log(`🔁 [Okta] ${method} ${path} failed (${error.response?.status || error.code}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Returns how long to wait before retrying, or null when the error is final
+  retryDelay(error, attempt, idempotent) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const status = error.response?.status;
+
+    if (status === 429) {
+      const waitMs = this.trackRateLimit(error.response) - Date.now();
+      if (waitMs > this.maxRateLimitWaitMs) {
+        return null;
+      }
+      // Without a reset header fall back to backoff; rate-limited requests were not processed
+      return waitMs > 0 ? waitMs + jitter(this.baseDelayMs) : this.backoff(attempt);
+    }
+
+    if (!error.response && NOT_SENT_CODES.includes(error.code)) {
+      return this.backoff(attempt);
+    }
+
+    if (idempotent && (status >= 500 || (!error.response && TRANSIENT_CODES.includes(error.code)))) {
+      return this.backoff(attempt);
+    }
+
+    return null;
+  }
+
+  // Full jitter: a random wait up to the exponential backoff ceiling
+  backoff(attempt) {
+    return jitter(Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt));
+  }
+
+  // X-Rate-Limit-Reset is the epoch second the current window ends; once the window
+  // is exhausted every request waits for it, not only the one that hit the limit
+  trackRateLimit(response) {
+    const reset = Number(response.headers?.['x-rate-limit-reset']);
+    const remaining = response.headers?.['x-rate-limit-remaining'];
+
+    if (reset && (response.status === 429 || remaining === '0')) {
+      this.rateLimitedUntil = Math.max(this.rateLimitedUntil, reset * 1000);
+    }
+
+    return this.rateLimitedUntil;
+  }
+
+  async waitForRateLimit() {
+    const waitMs = this.rateLimitedUntil - Date.now();
+
+    if (waitMs > 0) {
+      console.log(`⏱️  [Okta] Rate limit window exhausted, waiting ${Math.ceil(waitMs / 1000)}s`);
+      await sleep(waitMs);
+    }
+  }
+
+  // Open: calls fail fast. After resetMs one trial call is let through (half-open);
+  // its outcome closes or re-opens the breaker
+  checkBreaker() {
+    const { breaker } = this;
+
+    if (breaker.state !== 'open') {
+      return;
+    }
+
+    if (Date.now() - breaker.openedAt >= breaker.resetMs) {
+      breaker.state = 'half-open';
+      console.log('🔌 [Okta] Circuit half-open, sending a trial request');
+      return;
+    }
+
+    const error = new Error(`Okta circuit breaker is open after ${breaker.failures} consecutive failures, retry after ${new Date(breaker.openedAt + breaker.resetMs).toISOString()}`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.breaker.state !== 'closed') {
+      console.log('🔌 [Okta] Circuit closed, Okta is responding again');
+    }
+    this.breaker.state = 'closed';
+    this.breaker.failures = 0;
+  }
+
+  recordFailure() {
+    const { breaker } = this;
+    breaker.failures++;
+
+    if (breaker.state === 'half-open' || breaker.failures >= breaker.failureThreshold) {
+      if (breaker.state !== 'open') {
+        console.error(`🔌 [Okta] Circuit opened after ${breaker.failures} consecutive failures`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  status() {
+    const { state, failures, openedAt } = this.breaker;
+    return {
+      auth: this.auth.mode,
+      circuit: state,
+      consecutiveFailures: failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      rateLimitedUntil: this.rateLimitedUntil > Date.now() ? new Date(this.rateLimitedUntil).toISOString() : null
+    };
+  }
+}
+
+function nextLink(response) {
+  const header = response.headers?.link || '';
+  const match = header.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : response.data?._links?.next?.href || null;
+}
+
+// 5xx responses and connection failures count against the breaker; 4xx are the caller's problem
+function isDegraded(error) {
+  return error.response ? error.response.status >= 500 : TRANSIENT_CODES.includes(error.code);
+}
+
+function jitter(maxMs) {
+  return Math.floor(Math.random() * maxMs);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = OktaClient;
@@ -0,0 +1,80 @@
+const express = require('express');
+const MockOkta = require('./mock-okta');
+
+// ============================================================================
+// OKTA STAND-IN - Local HTTP server emulating the Okta and Governance APIs we call
+// ============================================================================
+// With MOCK_MODE=false and OKTA_BASE_URL pointing here, the real code path (OktaClient,
+// pagination, error handling) runs unchanged without an Okta tenant
+function createOktaStandinRouter(okta) {
+  const router = express.Router();
+
+  // Inspect and restore the in-memory state between test runs
+  router.get('/_standin/state', (req, res) => {
+    res.json({ grants: okta.grants, requests: okta.requests });
+  });
+
+  router.post('/_standin/reset', (req, res) => {
+    okta.reset();
+    console.log('🧩 [Okta Stand-in] State reset to fixtures');
+    res.status(204).end();
+  });
+
+  // Any token is accepted, but like Okta a request without one is rejected
+  router.use((req, res, next) => {
+    if (!req.get('authorization')) {
+      return res.status(401).json({ errorCode: 'E0000011', errorSummary: 'Invalid token provided', errorCauses: [] });
+    }
+    next();
+  });
+
+  router.use(async (req, res) => {
+    try {
+      const response = await okta.request({
+        method: req.method,
+        path: req.originalUrl,
+        data: req.method === 'POST' ? req.body : undefined
+      });
+
+      console.log(`🧩 [Okta Stand-in] ${req.method} ${req.path} → ${response.status}`);
+      return response.status === 204 ? res.status(204).end() : res.status(response.status).json(response.data);
+
+    } catch (error) {
+      if (!error.response) {
+        console.error(`❌ [Okta Stand-in] ${req.method} ${req.path} failed:`, error.message);
+        return res.status(500).json({ errorCode: 'E0000009', errorSummary: 'Internal Server Error', errorCauses: [] });
+      }
+
+      console.log(`🧩 [Okta Stand-in] ${req.method} ${req.path} → ${error.response.status} ${error.response.data.errorSummary}`);
+      res.status(error.response.status).json(error.response.data);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOktaStandinRouter };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { loadConfig } = require('./config');
+
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error(`❌ [Config] ${error.message}`);
+    process.exit(1);
+  }
+
+  const { port, fixturesFile } = config.standin;
+  const okta = new MockOkta(MockOkta.loadFixtures(fixturesFile), { baseUrl: `http://localhost:${port}` });
+
+  const app = express();
+  app.use(express.json());
+  app.use(createOktaStandinRouter(okta));
+
+  app.listen(port, () => {
+    console.log(`🧩 [Okta Stand-in] Okta Governance API stand-in on http://localhost:${port} (${okta.users.length} users, ${okta.bundles.length} bundles, ${okta.grants.length} grants)`);
+  });
+}
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, 'policy.json');
+
+// ============================================================================
+// POLICY ENGINE - Deterministic guardrails applied before MCP tools execute
+// ============================================================================
+class PolicyEngine {
+  constructor(policy = {}) {
+    this.policy = policy;
+    this.incidentPattern = policy.incidentPattern ? new RegExp(policy.incidentPattern, 'i') : null;
+    this.maxBundlesPerRequest = policy.maxBundlesPerRequest || Infinity;
+    this.requireHuman = (policy.requireHuman || []).map(toMatcher);
+    this.rules = (policy.rules || []).map(rule => ({
+      ...rule,
+      matcher: toMatcher(rule.match),
+      onViolation: rule.onViolation || 'reject'
+    }));
+    this.approval = {
+      highRiskBundles: (policy.approval?.highRiskBundles || []).map(toMatcher),
+      maxBundles: policy.approval?.maxBundlesWithoutApproval || Infinity,
+      downgrades: policy.approval?.downgrades !== false
+    };
+  }
+
+  static load(file = DEFAULT_POLICY_FILE) {
+    if (!fs.existsSync(file)) {
+      console.log(`⚠️  [Policy] No policy file at ${file}, tool calls are not guarded`);
+      return new PolicyEngine();
+    }
+
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`🛡️  [Policy] Loaded policy v${policy.version || 1} from ${file} (${(policy.rules || []).length} rules)`);
+    return new PolicyEngine(policy);
+  }
+
+  // Returns { allowed, args, violations } - args may be narrowed when a rule
+  // downgrades a call, in which case violations lists what was removed and why
+  evaluate(toolName, args, context = {}) {
+    if (toolName !== 'create_grant') {
+      return { allowed: true, args, violations: [] };
+    }
+
+    const entitlementIds = Array.isArray(args.entitlementIds) ? args.entitlementIds : [];
+    const justification = context.request?.justification || '';
+    const violations = [];
+    const kept = [];
+
+    for (const entitlementId of entitlementIds) {
+      const bundle = this.describeBundle(entitlementId, context);
+
+      if (this.requireHuman.some(matches => matches(bundle))) {
+        violations.push({
+          rule: 'require-human',
+          entitlementId,
+          action: 'reject',
+          reason: `Bundle "${bundle.name || entitlementId}" always requires a human approver and cannot be granted automatically`
+        });
+        continue;
+      }
+
+      const failed = this.rules
+        .filter(rule => rule.matcher(bundle))
+        .map(rule => ({ rule, reason: this.checkRule(rule, justification) }))
+        .filter(result => result.reason);
+
+      if (failed.length === 0) {
+        kept.push(entitlementId);
+        continue;
+      }
+
+      for (const { rule, reason } of failed) {
+        violations.push({
+          rule: rule.name,
+          entitlementId,
+          action: rule.onViolation,
+          reason: `Bundle "${bundle.name || entitlementId}" ${reason}`
+        });
+      }
+    }
+
+    // The cap covers the whole request, so bundles from earlier create_grant calls count too
+    const committed = context.committedBundleIds || [];
+    const total = new Set([...committed, ...kept]).size;
+
+    if (total > this.maxBundlesPerRequest) {
+      violations.push({
+        rule: 'max-bundles-per-request',
+        action: 'reject',
+        reason: `At most ${this.maxBundlesPerRequest} bundle(s) may be granted per request, ${total} would be (${committed.length} already granted or awaiting approval)`
+      });
+    }
+
+    const rejected = violations.some(violation => violation.action === 'reject') ||
+      (violations.length > 0 && kept.length === 0);
+
+    if (rejected) {
+      return { allowed: false, args, violations };
+    }
+
+    return { allowed: true, args: { ...args, entitlementIds: kept }, violations };
+  }
+
+  // Remembers the bundles a create_grant result granted, parked for approval or simulated,
+  // so later calls for the same request are checked against the per-request cap
+  static recordGrant(context, toolName, args, result) {
+    if (toolName !== 'create_grant' || !result?.success) {
+      return;
+    }
+
+    const bundleIds = Array.isArray(result.data) ? result.data.map(grant => grant.entitlementBundleId) : args.entitlementIds || [];
+    context.committedBundleIds = [...new Set([...(context.committedBundleIds || []), ...bundleIds])];
+  }
+
+  // Reasons a policy-compliant grant should still be reviewed by a human (empty when low risk)
+  assessRisk(args, context = {}, violations = []) {
+    const reasons = [];
+    const bundles = args.entitlementIds.map(entitlementId => this.describeBundle(entitlementId, context));
+
+    for (const bundle of bundles) {
+      if (this.approval.highRiskBundles.some(matches => matches(bundle))) {
+        reasons.push(`Bundle "${bundle.name || bundle.id}" is high risk`);
+      }
+    }
+
+    if (bundles.length > this.approval.maxBundles) {
+      reasons.push(`${bundles.length} bundles requested, more than ${this.approval.maxBundles} need approval`);
+    }
+
+    const requestedRole = context.request?.accessLevelName?.toLowerCase();
+    const isDowngrade = violations.length > 0 ||
+      (requestedRole && !bundles.some(bundle => bundle.name.toLowerCase() === requestedRole));
+
+    if (this.approval.downgrades && isDowngrade) {
+      reasons.push(`Granted bundles differ from the requested role "${context.request?.accessLevelName || 'unknown'}"`);
+    }
+
+    return reasons;
+  }
+
+  checkRule(rule, justification) {
+    if (rule.requireIncident && !(this.incidentPattern && this.incidentPattern.test(justification))) {
+      return 'requires an incident/reference number in the justification';
+    }
+
+    if (rule.requireVerbs && rule.requireVerbs.length > 0) {
+      const text = justification.toLowerCase();
+      const found = rule.requireVerbs.some(verb => new RegExp(`\\b${escapeRegExp(verb.toLowerCase())}`).test(text));
+      if (!found) {
+        return `requires the justification to mention one of: ${rule.requireVerbs.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  describeBundle(entitlementId, context) {
+    const bundle = (context.catalog?.bundles || []).find(entry => entry.id === entitlementId);
+    return { id: entitlementId, name: bundle?.name || '' };
+  }
+}
+
+// Policy patterns are shell-style globs matched against the bundle ID and name
+function toMatcher(pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+  return bundle => regex.test(bundle.id) || regex.test(bundle.name);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = PolicyEngine;
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LEDGER_FILE = path.join(__dirname, 'data', 'ledger.json');
+
+// Stages whose side effects must never be repeated on a retried delivery. A recorded call is
+// replayed only for a call with the same key: a grant for the same bundles, or any requester
+// message since a request gets one
+const TOOL_STAGES = {
+  create_grant: { stage: 'granted', key: args => [...(args.entitlementIds || [])].sort().join(',') },
+  add_request_message: { stage: 'messaged', key: () => 'message' }
+};
+
+// ============================================================================
+// PROCESSING LEDGER - Per-request progress so redeliveries resume, not repeat
+// ============================================================================
+class ProcessingLedger {
+  constructor(file = DEFAULT_LEDGER_FILE) {
+    this.file = file;
+    this.entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    console.log(`📒 [Ledger] Loaded ${Object.keys(this.entries).length} request(s) from ${file}`);
+  }
+
+  get(accessRequestId) {
+    return this.entries[accessRequestId];
+  }
+
+  receive(accessRequestId, jobId) {
+    const entry = this.entries[accessRequestId] || this.create(accessRequestId);
+    entry.jobId = jobId;
+    this.persist();
+    return entry;
+  }
+
+  // Starts a processing attempt and returns the stages completed by earlier attempts
+  begin(accessRequestId) {
+    const entry = this.entries[accessRequestId] || this.create(accessRequestId);
+    const completedStages = { ...entry.stages };
+
+    entry.attempts += 1;
+    entry.status = entry.status === 'completed' ? 'completed' : 'in_progress';
+    entry.updatedAt = new Date().toISOString();
+    this.persist();
+
+    return { entry, completedStages };
+  }
+
+  recordStage(accessRequestId, stage, data = {}) {
+    const entry = this.entries[accessRequestId];
+    entry.stages[stage] = { at: new Date().toISOString(), ...data };
+    entry.updatedAt = entry.stages[stage].at;
+    this.persist();
+  }
+
+  // The recorded result of the same side-effecting call from an earlier attempt, if any
+  replay(completedStages, toolName, args) {
+    const tool = TOOL_STAGES[toolName];
+    const key = tool?.key(args);
+    return tool ? (completedStages[tool.stage]?.calls || []).find(call => call.key === key)?.result || null : null;
+  }
+
+  recordTool(accessRequestId, toolName, args, result) {
+    const tool = TOOL_STAGES[toolName];
+    if (!tool || !result.success) {
+      return;
+    }
+
+    const key = tool.key(args);
+    const calls = this.entries[accessRequestId].stages[tool.stage]?.calls || [];
+    if (!calls.some(call => call.key === key)) {
+      this.recordStage(accessRequestId, tool.stage, { calls: [...calls, { at: new Date().toISOString(), key, args, result }] });
+    }
+  }
+
+  complete(accessRequestId, outcome) {
+    const entry = this.entries[accessRequestId];
+    Object.assign(entry, { status: 'completed', outcome, error: null, updatedAt: new Date().toISOString() });
+    this.persist();
+  }
+
+  fail(accessRequestId, error) {
+    const entry = this.entries[accessRequestId];
+    Object.assign(entry, { status: 'failed', error, updatedAt: new Date().toISOString() });
+    this.persist();
+  }
+
+  create(accessRequestId) {
+    const now = new Date().toISOString();
+    const entry = {
+      accessRequestId,
+      status: 'received',
+      attempts: 0,
+      jobId: null,
+      stages: { received: { at: now } },
+      outcome: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.entries[accessRequestId] = entry;
+    return entry;
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+module.exports = ProcessingLedger;
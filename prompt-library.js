@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, 'prompts');
+const DEFAULT_TEMPLATE = 'access-review';
+
+// Everything a template may reference: {{request.userId}}, or {{#verifiesTickets}}...{{/verifiesTickets}}
+// for a section that is only kept when the value is truthy
+const PROMPT_VARIABLES = [
+  'request.accessRequestId', 'request.userId', 'request.userEmail', 'request.accessLevelName',
+  'request.accessLevelDescription', 'request.catalogEntryId', 'request.justification',
+  'request.accessDuration', 'request.resourceName',
+  'application.key', 'application.name', 'application.applicationId',
+  'profile.platform', 'profile.roleNoun', 'profile.resourceTypes', 'profile.resourceKeywords',
+  'verifiesTickets'
+];
+
+const PLACEHOLDER = /\{\{\s*([#/]?)([\w.]+)\s*\}\}/g;
+const SECTION = /\{\{#([\w.]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+
+// ============================================================================
+// PROMPT LIBRARY - Versioned system prompt templates, reloaded when their files change
+// ============================================================================
+// Each prompts/*.md file starts with front matter naming the template and its version.
+// A reference is "name" for the highest version or "name@version" to pin one
+class PromptLibrary {
+  constructor(dir = DEFAULT_PROMPTS_DIR, { template = DEFAULT_TEMPLATE } = {}) {
+    this.dir = dir;
+    this.defaultTemplate = template;
+    this.templates = [];
+    this.signature = null;
+  }
+
+  // Invalid templates fail here, at startup; a bad edit picked up later is logged and
+  // the templates already loaded stay in use
+  static load(dir = DEFAULT_PROMPTS_DIR, options = {}) {
+    const library = new PromptLibrary(dir, options);
+    library.reload();
+    library.select(library.defaultTemplate);
+    console.log(`📜 [Prompts] Loaded ${library.templates.length} template(s) from ${dir}, default ${library.defaultTemplate}`);
+    return library;
+  }
+
+  reload() {
+    const signature = this.readSignature();
+    this.templates = this.files().map(file => parseTemplate(path.join(this.dir, file)));
+
+    const seen = new Set();
+    for (const template of this.templates) {
+      const reference = `${template.name}@${template.version}`;
+      if (seen.has(reference)) {
+        throw new Error(`Prompt template ${reference} is defined twice in ${this.dir}`);
+      }
+      seen.add(reference);
+    }
+
+    this.signature = signature;
+  }
+
+  // Called before every selection, so edited, added or removed files apply to the next request
+  refresh() {
+    let signature;
+
+    try {
+      signature = this.readSignature();
+
+      if (signature === this.signature) {
+        return;
+      }
+
+      this.reload();
+      console.log(`📜 [Prompts] Reloaded ${this.templates.length} template(s) from ${this.dir}`);
+    } catch (error) {
+      // Remembered so the same broken state is reported once, not on every request
+      this.signature = signature;
+      console.error(`❌ [Prompts] Reload failed, keeping the templates already loaded: ${error.message}`);
+    }
+  }
+
+  // The application's own template if it names one, otherwise the default
+  selectFor(application) {
+    this.refresh();
+    return this.select(application?.prompt || this.defaultTemplate);
+  }
+
+  select(reference) {
+    const [name, version] = reference.split('@');
+    const candidates = this.templates
+      .filter(template => template.name === name && (version === undefined || template.version === Number(version)))
+      .sort((a, b) => b.version - a.version);
+
+    if (candidates.length === 0) {
+      const available = this.templates.map(template => `${template.name}@${template.version}`).join(', ') || 'none';
+      throw new Error(`Unknown prompt template ${reference} (available: ${available})`);
+    }
+
+    return candidates[0];
+  }
+
+  render(template, variables) {
+    return template.body
+      .replace(SECTION, (match, name, content) => (lookup(variables, name) ? content : ''))
+      .replace(PLACEHOLDER, (match, marker, name) => {
+        const value = lookup(variables, name);
+        return value === undefined || value === null ? '' : String(value);
+      });
+  }
+
+  files() {
+    return fs.readdirSync(this.dir).filter(file => file.endsWith('.md')).sort();
+  }
+
+  readSignature() {
+    return this.files()
+      .map(file => {
+        const { mtimeMs, size } = fs.statSync(path.join(this.dir, file));
+        return `${file}:${mtimeMs}:${size}`;
+      })
+      .join('|');
+  }
+}
+
+// ---
+// name: access-review
+// version: 2
+// description: ...
+// ---
+// template body
+function parseTemplate(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+
+  if (!match) {
+    throw new Error(`Prompt template ${file} must start with front matter between --- lines`);
+  }
+
+  const meta = Object.fromEntries(match[1].split(/\r?\n/)
+    .map(line => line.match(/^(\w+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value.trim()]));
+  const version = Number(meta.version);
+
+  if (!meta.name || !Number.isInteger(version) || version < 1) {
+    throw new Error(`Prompt template ${file} needs a name and a positive integer version in its front matter`);
+  }
+
+  const body = match[2].replace(/\s+$/, '');
+  const unknown = [...body.matchAll(PLACEHOLDER)].map(([, , name]) => name).filter(name => !PROMPT_VARIABLES.includes(name));
+
+  if (unknown.length > 0) {
+    throw new Error(`Prompt template ${file} uses unknown variable(s) ${[...new Set(unknown)].join(', ')} (known: ${PROMPT_VARIABLES.join(', ')})`);
+  }
+
+  const opened = [...body.matchAll(/\{\{#([\w.]+)\}\}/g)].length;
+  const closed = [...body.matchAll(SECTION)].length;
+
+  if (opened !== closed || [...body.matchAll(/\{\{\/([\w.]+)\}\}/g)].length !== closed) {
+    throw new Error(`Prompt template ${file} has an unclosed or unmatched {{#section}}`);
+  }
+
+  return {
+    name: meta.name,
+    version,
+    description: meta.description || null,
+    file: path.basename(file),
+    sha256: crypto.createHash('sha256').update(source).digest('hex'),
+    body
+  };
+}
+
+function lookup(variables, name) {
+  return name.split('.').reduce((value, key) => value?.[key], variables);
+}
+
+module.exports = PromptLibrary;
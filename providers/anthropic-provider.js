@@ -0,0 +1,126 @@
+const axios = require('axios');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// ============================================================================
+// ANTHROPIC PROVIDER - Messages API, translating to and from OpenAI tool calls
+// ============================================================================
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.model = options.model;
+    this.temperature = options.temperature ?? 0.1;
+    this.maxTokens = options.maxTokens || 4096;
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl || 'https://api.anthropic.com';
+  }
+
+  // The Messages API has no JSON response format, so a responseFormat becomes a
+  // single tool the model is forced to call, whose input is the JSON reply
+  async complete({ messages, tools = [], responseFormat }) {
+    const toolDefinitions = responseFormat
+      ? [{ name: responseFormat.name, description: 'Submit the final answer', input_schema: responseFormat.schema }]
+      : tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters
+      }));
+
+    const response = await axios.post(
+      `${this.baseUrl}/v1/messages`,
+      {
+        model: this.model,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature,
+        system: messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n'),
+        messages: toAnthropicMessages(messages),
+        ...(toolDefinitions.length ? {
+          tools: toolDefinitions,
+          tool_choice: responseFormat ? { type: 'tool', name: responseFormat.name } : { type: 'auto' }
+        } : {})
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        }
+      }
+    );
+
+    const blocks = response.data.content || [];
+    const toolCalls = blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input) }
+      }));
+    const inputTokens = response.data.usage?.input_tokens || 0;
+    const outputTokens = response.data.usage?.output_tokens || 0;
+    const usage = { promptTokens: inputTokens, completionTokens: outputTokens, totalTokens: inputTokens + outputTokens };
+
+    if (responseFormat) {
+      const answer = blocks.find(block => block.type === 'tool_use');
+      return {
+        message: { role: 'assistant', content: answer ? JSON.stringify(answer.input) : null },
+        usage
+      };
+    }
+
+    return {
+      message: {
+        role: 'assistant',
+        content: blocks.filter(block => block.type === 'text').map(block => block.text).join('\n') || null,
+        ...(toolCalls.length ? { tool_calls: toolCalls } : {})
+      },
+      usage
+    };
+  }
+}
+
+// Anthropic keeps the system prompt out of the turn list, expects tool calls as
+// tool_use blocks and their results as tool_result blocks inside a user turn,
+// and requires the conversation to open with a user turn
+function toAnthropicMessages(messages) {
+  const turns = [];
+
+  const append = (role, blocks) => {
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      turns.push({ role, content: blocks });
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      append('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]);
+    } else if (message.role === 'assistant') {
+      append('assistant', [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...(message.tool_calls || []).map(toolCall => ({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: JSON.parse(toolCall.function.arguments || '{}')
+        }))
+      ]);
+    } else {
+      append('user', [{ type: 'text', text: message.content }]);
+    }
+  }
+
+  if (turns.length === 0 || turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: [{ type: 'text', text: 'Process this access request.' }] });
+  }
+
+  return turns;
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,26 @@
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openai-provider');
+
+// ============================================================================
+// AZURE OPENAI PROVIDER - Same wire format, addressed by deployment name
+// ============================================================================
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const azure = options.azure || {};
+
+    super({
+      ...options,
+      name: 'azure-openai',
+      // Azure routes on the deployment, the model field is informational
+      model: azure.deployment || options.model,
+      client: new AzureOpenAI({
+        apiKey: options.apiKey,
+        endpoint: azure.endpoint,
+        apiVersion: azure.apiVersion || '2024-10-21',
+        deployment: azure.deployment
+      })
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
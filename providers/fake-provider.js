@@ -0,0 +1,46 @@
+const fs = require('fs');
+
+// ============================================================================
+// FAKE PROVIDER - Scripted responses for running the tool loop offline
+// ============================================================================
+class FakeProvider {
+  // Each step is either an assistant reply ({ content } or { tool_calls: [{ name, arguments }] })
+  // or a function receiving the conversation so far and returning one
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.model = options.model || 'fake-model';
+    this.script = options.script || (options.scriptFile ? JSON.parse(fs.readFileSync(options.scriptFile, 'utf8')) : []);
+    this.calls = [];
+  }
+
+  async complete({ messages, tools, responseFormat }) {
+    const step = this.script[this.calls.length];
+    this.calls.push({ messages: messages.slice(), tools, responseFormat });
+
+    if (!step) {
+      throw new Error(`Fake provider script exhausted after ${this.script.length} step(s)`);
+    }
+
+    const reply = typeof step === 'function' ? step(messages) : step;
+    const toolCalls = (reply.tool_calls || []).map((toolCall, index) => ({
+      id: toolCall.id || `fake-call-${this.calls.length}-${index}`,
+      type: 'function',
+      function: {
+        name: toolCall.name,
+        arguments: typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {})
+      }
+    }));
+
+    return {
+      message: {
+        role: 'assistant',
+        // Object content stands in for a structured (JSON) reply
+        content: reply.content && typeof reply.content === 'object' ? JSON.stringify(reply.content) : reply.content ?? null,
+        ...(toolCalls.length ? { tool_calls: toolCalls } : {})
+      },
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+    };
+  }
+}
+
+module.exports = FakeProvider;
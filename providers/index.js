@@ -0,0 +1,34 @@
+const OpenAIProvider = require('./openai-provider');
+const AzureOpenAIProvider = require('./azure-openai-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const FakeProvider = require('./fake-provider');
+
+const PROVIDERS = {
+  'openai': OpenAIProvider,
+  'azure-openai': AzureOpenAIProvider,
+  'anthropic': AnthropicProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'fake': FakeProvider
+};
+
+// Every provider exposes `name`, `model` and `complete({ messages, tools, responseFormat })`,
+// which resolves to { message, usage } with the message in OpenAI chat format
+function createProvider(options = {}) {
+  const Provider = PROVIDERS[options.provider || 'openai'];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${options.provider} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  createProvider,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  FakeProvider
+};
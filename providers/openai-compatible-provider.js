@@ -0,0 +1,20 @@
+const OpenAIProvider = require('./openai-provider');
+
+// ============================================================================
+// OPENAI-COMPATIBLE PROVIDER - Local endpoints such as Ollama or vLLM
+// ============================================================================
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'openai-compatible',
+      baseUrl: options.baseUrl || 'http://localhost:11434/v1',
+      // Local servers ignore the key but the SDK refuses to start without one
+      apiKey: options.apiKey || 'not-needed',
+      // Not every local server implements json_schema response formats
+      structuredOutput: options.structuredOutput ?? false
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
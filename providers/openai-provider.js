@@ -0,0 +1,65 @@
+const { OpenAI } = require('openai');
+
+// ============================================================================
+// OPENAI PROVIDER - Chat Completions with native function calling
+// ============================================================================
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.model = options.model || 'gpt-4o-mini';
+    this.temperature = options.temperature ?? 0.1;
+    this.maxTokens = options.maxTokens;
+    this.structuredOutput = options.structuredOutput ?? true;
+    this.client = options.client || new OpenAI({ apiKey: options.apiKey, baseURL: options.baseUrl });
+  }
+
+  // Messages and tools use the OpenAI chat format, which is also the format the
+  // other adapters translate from and back to. responseFormat ({ name, schema })
+  // asks for a JSON reply, enforced with json_schema structured output when enabled
+  async complete({ messages, tools = [], responseFormat }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      ...(tools.length ? { tools, tool_choice: "auto" } : {}),
+      ...(responseFormat && this.structuredOutput ? {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: responseFormat.name, schema: toStrictSchema(responseFormat.schema), strict: true }
+        }
+      } : {}),
+      temperature: this.temperature,
+      ...(this.maxTokens ? { max_tokens: this.maxTokens } : {})
+    });
+
+    const message = response.choices[0].message;
+
+    return {
+      message: {
+        role: 'assistant',
+        content: message.content,
+        ...(message.tool_calls?.length ? { tool_calls: message.tool_calls } : {})
+      },
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+        totalTokens: response.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+// Strict mode rejects range and length keywords; those are still checked locally
+// when the reply is validated
+function toStrictSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toStrictSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const { minimum, maximum, minLength, minItems, ...rest } = schema;
+  return Object.fromEntries(Object.entries(rest).map(([key, value]) => [key, key === 'enum' ? value : toStrictSchema(value)]));
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,115 @@
+const path = require('path');
+const JsonFileStore = require('./json-file-store');
+
+const DEFAULT_QUEUE_FILE = path.join(__dirname, 'data', 'revocations.json');
+const RETRY_DELAY_MS = 60 * 1000;
+// How often the queue file is re-read for revocations scheduled by other processes
+const SYNC_INTERVAL_MS = 60 * 1000;
+// setTimeout overflows past ~24.8 days, longer waits are re-armed in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// ============================================================================
+// REVOCATION SCHEDULER - Revokes time-bound grants when their duration ends
+// ============================================================================
+class RevocationScheduler {
+  constructor(mcpServer, queueFile = DEFAULT_QUEUE_FILE) {
+    this.mcpServer = mcpServer;
+    this.queueFile = queueFile;
+    this.store = new JsonFileStore(queueFile, []);
+    this.timers = new Map();
+  }
+
+  // Re-arms every revocation persisted by a previous run; overdue entries fire immediately.
+  // Later syncs pick up revocations scheduled by other processes sharing the queue file,
+  // such as a short-lived MCP stdio server
+  start() {
+    const count = this.sync();
+    console.log(`⏳ [Revocation] Loaded ${count} pending revocation(s) from ${this.queueFile}`);
+    setInterval(() => this.sync(), SYNC_INTERVAL_MS).unref();
+  }
+
+  sync() {
+    const queue = this.store.read();
+    queue.filter(entry => !this.timers.has(entry.grantId)).forEach(entry => this.arm(entry));
+    return queue.length;
+  }
+
+  schedule({ grantId, entitlementBundleId, userId, requestId, accessDuration, expiresAt }) {
+    const entry = {
+      grantId,
+      entitlementBundleId,
+      userId,
+      requestId,
+      accessDuration,
+      expiresAt: expiresAt.toISOString(),
+      attempts: 0
+    };
+
+    this.store.update(queue => [...queue, entry]);
+    this.arm(entry);
+
+    console.log(`⏳ [Revocation] Grant ${grantId} will be revoked at ${entry.expiresAt}`);
+    return entry;
+  }
+
+  pending() {
+    return this.store.read();
+  }
+
+  arm(entry, delay = new Date(entry.expiresAt).getTime() - Date.now()) {
+    clearTimeout(this.timers.get(entry.grantId));
+
+    const wait = Math.max(0, Math.min(delay, MAX_TIMER_MS));
+    const timer = setTimeout(() => {
+      if (new Date(entry.expiresAt).getTime() > Date.now()) {
+        this.arm(entry);
+      } else {
+        this.revoke(entry);
+      }
+    }, wait);
+
+    timer.unref();
+    this.timers.set(entry.grantId, timer);
+  }
+
+  async revoke(entry) {
+    // Another process sharing the queue file got to it first
+    if (!this.store.read().some(queued => queued.grantId === entry.grantId)) {
+      this.timers.delete(entry.grantId);
+      return;
+    }
+
+    console.log(`⌛ [Revocation] Access duration ${entry.accessDuration} elapsed, revoking grant ${entry.grantId}`);
+
+    const result = await this.mcpServer.revokeGrant(entry.grantId);
+    // Removed in Okta already (by an admin or an earlier attempt), so there is nothing left to revoke
+    const alreadyGone = result.code === 'GRANT_NOT_FOUND';
+
+    if (!result.success && !alreadyGone) {
+      entry.attempts += 1;
+      this.store.update(queue => queue.map(queued => (queued.grantId === entry.grantId ? { ...queued, attempts: entry.attempts } : queued)));
+      console.error(`❌ [Revocation] Failed to revoke grant ${entry.grantId} (attempt ${entry.attempts}), retrying in ${RETRY_DELAY_MS / 1000}s`);
+      this.arm(entry, RETRY_DELAY_MS);
+      return;
+    }
+
+    this.store.update(queue => queue.filter(queued => queued.grantId !== entry.grantId));
+    this.timers.delete(entry.grantId);
+
+    if (alreadyGone) {
+      console.log(`✅ [Revocation] Grant ${entry.grantId} was already removed in Okta, dropped from the queue`);
+      return;
+    }
+
+    if (entry.requestId) {
+      await this.mcpServer.addRequestMessage(
+        entry.requestId,
+        `Time-bound access expired: the grant for entitlement bundle ${entry.entitlementBundleId} (grant ${entry.grantId}) ended after ${entry.accessDuration} and was revoked automatically.`
+      );
+    }
+
+    console.log(`✅ [Revocation] Grant ${entry.grantId} revoked`);
+  }
+}
+
+module.exports = RevocationScheduler;
@@ -8,427 +8,56 @@ if (process.env.NODE_ENV !== 'production') {
 
 const express = require('express');
 const axios = require('axios');
-const { OpenAI } = require('openai');
+const { loadConfig } = require('./config');
+const MCPServer = require('./mcp-server');
+const MCPClient = require('./mcp-client');
+const MCPToolRouter = require('./mcp-tool-router');
+const PromptLibrary = require('./prompt-library');
+const WebhookAuthenticator = require('./webhook-auth');
+const AdminAuthenticator = require('./admin-auth');
+const JobQueue = require('./job-queue');
+const ProcessingLedger = require('./processing-ledger');
+const AuditLog = require('./audit-log');
+
+// Configuration: defaults < CONFIG_FILE < environment, validated before anything starts
+let config;
+try {
+  config = loadConfig({ serve: ['webhook', 'agent'] });
+} catch (error) {
+  console.error(`❌ [Config] ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
-app.use(express.json());
-
-// Configuration
-const config = {
-  okta: {
-    baseUrl: 'https://demo-takolive.okta.com',
-    token: process.env.OKTA_TOKEN,
-    applicationId: '0oavij8jl7fx84fA5697'
-  },
-  openai: {
-    apiKey: process.env.OPENAI_API_KEY
-  },
-  port: process.env.PORT || 3000,
-  mockMode: process.env.MOCK_MODE !== 'false'
-};
-
-// ============================================================================
-// MCP SERVER - Pure tool execution, no business logic
-// ============================================================================
-class MCPServer {
-  constructor() {
-    this.tools = [
-      {
-        type: "function",
-        function: {
-          name: 'list_entitlement_bundles',
-          description: 'Get all available GCP role entitlement bundles from Okta for a specific application',
-          parameters: {
-            type: 'object',
-            properties: {
-              applicationId: {
-                type: 'string',
-                description: 'The Okta application ID for GCP (e.g., 0oavij8jl7fx84fA5697)'
-              }
-            },
-            required: ['applicationId']
-          }
-        }
-      },
-      {
-        type: "function", 
-        function: {
-          name: 'create_grant',
-          description: 'Grant specific entitlement bundles to a user in Okta. Creates separate grants for each entitlement bundle.',
-          parameters: {
-            type: 'object',
-            properties: {
-              userId: {
-                type: 'string',
-                description: 'User ID of the requester that the grant is being assigned to (e.g., 00uq3zp622HWDY2Jc697)'
-              },
-              entitlementIds: {
-                type: 'array',
-                items: { type: 'string' },
-                description: 'Array of entitlement bundle IDs to grant (e.g., ["enbmtw1byu10MX9wZ696"]). Each will get a separate grant.'
-              },
-              reasoning: {
-                type: 'string',
-                description: 'Explanation of why these roles were chosen'
-              }
-            },
-            required: ['userId', 'entitlementIds', 'reasoning']
-          }
-        }
-      },
-      {
-        type: "function",
-        function: {
-          name: 'add_request_message',
-          description: 'Add a message to an existing Okta access request to provide additional information or feedback to the requester',
-          parameters: {
-            type: 'object',
-            properties: {
-              requestId: {
-                type: 'string',
-                description: 'The Request ID'
-              },
-              message: {
-                type: 'string',
-                description: 'The final determination of the LLM which includes what entitlement bundles were granted, if any, and the reasoning'
-              }
-            },
-            required: ['requestId', 'message']
-          }
-        }
-      }
-    ];
-  }
-
-  async listEntitlementBundles(applicationId) {
-    if (config.mockMode) {
-      console.log(`🎭 [MOCK MODE] Simulating entitlement bundles for app: ${applicationId}`);
-      
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const mockBundles = [
-        {
-          id: "enbmtw1byu10MX9wZ696",
-          name: "Viewer - viewer",
-          description: "Grants read-only access to all of a project's resources.",
-          status: "ACTIVE"
-        },
-        {
-          id: "enbmtw1buZQG1bZZZ696", 
-          name: "Storage Object Viewer - storage.objectViewer",
-          description: "Grants read-only access to Cloud Storage objects.",
-          status: "ACTIVE"
-        },
-        {
-          id: "enbmtv1gportvxifd696",
-          name: "Storage Object Admin - storage.objectAdmin", 
-          description: "Grants full control over Cloud Storage objects.",
-          status: "ACTIVE"
-        },
-        {
-          id: "enbmtv1gl03rpGl0G696",
-          name: "BigQuery Data Editor - bigquery.dataEditor",
-          description: "Grants permissions to edit data and metadata in BigQuery tables.",
-          status: "ACTIVE"
-        }
-      ];
-      
-      console.log(`✅ [MOCK MODE] Retrieved ${mockBundles.length} entitlement bundles`);
-      return { success: true, data: mockBundles };
-    }
-
-    try {
-      console.log(`🔧 [MCP Tool] Listing entitlement bundles for app: ${applicationId}`);
-      
-      const response = await axios.get(
-        `${config.okta.baseUrl}/governance/api/v1/entitlement-bundles`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'Authorization': config.okta.token
-          },
-          params: {
-            filter: `target.externalId eq "${applicationId}" AND target.type eq "APPLICATION"`
-          }
-        }
-      );
-      
-      const bundles = response.data.data.map(bundle => ({
-        id: bundle.id,
-        name: bundle.name,
-        description: bundle.description,
-        status: bundle.status
-      }));
-      
-      console.log(`✅ [MCP Tool] Retrieved ${bundles.length} entitlement bundles`);
-      return { success: true, data: bundles };
-      
-    } catch (error) {
-      console.error('❌ [MCP Tool] Error listing entitlement bundles:', error.response?.data || error.message);
-      return { success: false, error: error.message };
-    }
-  }
-
-  async createGrant(userId, applicationId, entitlementIds, reasoning) {
-    if (config.mockMode) {
-      console.log(`🎭 [MOCK MODE] Simulating grants for user ${userId} with ${entitlementIds.length} entitlement bundles`);
-      console.log(`💭 [MOCK MODE] Reasoning: ${reasoning}`);
-      
-      const grantResults = [];
-      
-      for (const entitlementId of entitlementIds) {
-        console.log(`📦 [MOCK MODE] Creating grant for entitlement bundle: ${entitlementId}`);
-        
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        const mockGrantId = `grant-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        grantResults.push({
-          entitlementBundleId: entitlementId,
-          grantId: mockGrantId,
-          status: 'created'
-        });
-        
-        console.log(`✅ [MOCK MODE] Grant created for bundle ${entitlementId}: ${mockGrantId}`);
-      }
-
-      console.log(`🎉 [MOCK MODE] All ${grantResults.length} grants created successfully`);
-      return { success: true, data: grantResults, reasoning };
-    }
-
-    try {
-      console.log(`🔧 [MCP Tool] Creating grants for user ${userId} with ${entitlementIds.length} entitlement bundles`);
-      console.log(`💭 [MCP Tool] Reasoning: ${reasoning}`);
-      
-      const grantResults = [];
-      
-      for (const entitlementId of entitlementIds) {
-        const grantData = {
-          grantType: "ENTITLEMENT-BUNDLE",
-          entitlementBundleId: entitlementId,
-          actor: "ACCESS_REQUEST",
-          targetPrincipal: {
-            externalId: userId,
-            type: "OKTA_USER"
-          }
-        };
-
-        console.log(`📦 [MCP Tool] Creating grant for entitlement bundle: ${entitlementId}`);
-
-        const response = await axios.post(
-          `${config.okta.baseUrl}/governance/api/v1/grants`,
-          grantData,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Accept': 'application/json',
-              'Authorization': config.okta.token
-            }
-          }
-        );
-
-        grantResults.push({
-          entitlementBundleId: entitlementId,
-          grantId: response.data.id,
-          status: 'created'
-        });
-        
-        console.log(`✅ [MCP Tool] Grant created for bundle ${entitlementId}: ${response.data.id}`);
-      }
-
-      console.log(`🎉 [MCP Tool] All ${grantResults.length} grants created successfully`);
-      return { success: true, data: grantResults, reasoning };
-      
-    } catch (error) {
-      console.error('❌ [MCP Tool] Error creating grant:', error.response?.data || error.message);
-      return { success: false, error: error.message };
-    }
-  }
-
-  async addRequestMessage(requestId, message) {
-    if (config.mockMode) {
-      console.log(`🎭 [MOCK MODE] Simulating adding message to request ${requestId}`);
-      console.log(`💬 [MOCK MODE] Message: ${message}`);
-      
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
-      console.log(`✅ [MOCK MODE] Message added to request ${requestId}`);
-      return { success: true, requestId, message };
-    }
-
-    try {
-      console.log(`🔧 [MCP Tool] Adding message to request ${requestId}`);
-      console.log(`💬 [MCP Tool] Message: ${message}`);
-      
-      const response = await axios.post(
-        `${config.okta.baseUrl}/governance/api/v2/requests/${requestId}/messages`,
-        { message },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': config.okta.token
-          }
-        }
-      );
-
-      console.log(`✅ [MCP Tool] Message added to request ${requestId}`);
-      return { success: true, data: response.data };
-      
-    } catch (error) {
-      console.error('❌ [MCP Tool] Error adding message to request:', error.response?.data || error.message);
-      return { success: false, error: error.message };
-    }
-  }
-
-  async executeTool(toolName, args) {
-    switch (toolName) {
-      case 'list_entitlement_bundles':
-        return await this.listEntitlementBundles(args.applicationId);
-      case 'create_grant':
-        return await this.createGrant(args.userId, null, args.entitlementIds, args.reasoning);
-      case 'add_request_message':
-        return await this.addRequestMessage(args.requestId, args.message);
-      default:
-        throw new Error(`Unknown MCP tool: ${toolName}`);
-    }
+// Keep the raw body around so webhook HMAC signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
   }
-}
+}));
 
 // ============================================================================
-// MCP CLIENT - GPT-4 that uses MCP tools to accomplish tasks
+// WEBHOOK HANDLER - Minimal entry point
 // ============================================================================
-class MCPClient {
-  constructor(mcpServer) {
-    this.mcpServer = mcpServer;
-    this.openai = new OpenAI({ apiKey: config.openai.apiKey });
-  }
-
-  async processAccessRequest(webhookData) {
-    console.log('\n🤖 [MCP Client] Starting autonomous access request processing...');
-    console.log(`👤 [MCP Client] Request from: ${webhookData.requestEmail}`);
-    console.log(`🎯 [MCP Client] Requested role: ${webhookData.accessLevelName}`);
-    console.log(`📝 [MCP Client] Justification: "${webhookData.justification}"`);
-
-    const systemPrompt = `You are a SENIOR SECURITY ENGINEER evaluating access requests for Google Cloud Project (GCP) roles to a production environment from engineers an enterprise company. You must make decisions that enforce least privilege but also ensure business continuity.
-
-REQUIREMENTS:
-1. Justifications within the request must contain meaningful information including:
-	a. Incident/Reference number OR explicit statement this is routine/planned work
-	b. Specific GCP resource types (storage, bigquery, kubernetes, logs, compute, vertex-ai, etc.)
-	c. Clear description of planned actions with those resources
-2. NEVER grant admin roles unless the justification explicitly mentions admin tasks such as, but not limited to,  "create", "delete", "configure", "manage infrastructure"
-3. Do not generate values foruserId or requestId
-4. When calling add_request_message, you MUST use requestId: "${webhookData.accessRequestId}"
-5. When calling create_grant, you MUST use userId: "${webhookData.userId}"
-
 
+const mcpServer = new MCPServer(config);
+const ledger = new ProcessingLedger(config.ledger.file);
+const auditLog = new AuditLog(config.audit.file);
+const prompts = PromptLibrary.load(config.prompts.dir, { template: config.prompts.template });
+const toolRouter = new MCPToolRouter([{ name: 'okta', instance: mcpServer }, ...config.mcp.servers]);
+const mcpClient = new MCPClient(toolRouter, { llm: config.llm, limits: config.agent, prompts, ledger, auditLog, applications: mcpServer.applications });
 
-CURRENT REQUEST ANALYSIS:
-- User Email: ${webhookData.userEmail}
-- userId: ${webhookData.userId}
-- GCP role name: "${webhookData.accessLevelName}"
-- GCP role description: "${webhookData.accessLevelDescription}"
-- Catalog Entry ID: ${webhookData.catalogEntryId}
-- Justification: "${webhookData.justification}"
+const webhookAuth = new WebhookAuthenticator(config.webhook);
+const adminAuth = new AdminAuthenticator(config.admin.tokens);
+const jobQueue = new JobQueue(request => mcpClient.processAccessRequest(request), config.jobs);
 
-MANDATORY WORKFLOW:
-1. Determine if the justification includes the required information (incident number/info, GPC resources, intent w/GCP resources).  If it does not, stop processing send a message of the justification on having enough information
-2. If the justification contains the necessary information, then call list_entitlement_bundles to see all available roles and descriptions from the catalog
-3. Compare the description of the role requested against the justification the user provided
-	a.  If the requested role and role description aligns with the justification, then grant the role
-    b.  If the requested role is over-permissive (for ex. they request a role with admin privileges) but there is no clear justification (ie mention of modifying the system via update, delete, configure, etc.), grant a less permissive entitlement based on the resources included in the justification.  Only grant a single bundle which directly maps to GCP resources mentioned explicitly in the justification      
-4. Provide details for why the roles were granted and why if the original role requested was not grated.  Include in the details what roles were ultiamtely granted
-5. Only grant bundles to GCP resources EXPLICITLY MENTIONED in the justification. For example, only grant Vertex bundles when the jusitifcation mentiones AI or machine learning, etc., grant BigQuery when justification includes terms like database, grant Storage entitlements when files or cloud storage is mentioned
+mcpServer.revocations.start();
+mcpServer.catalog.start();
+jobQueue.start();
 
-Remember: Your job is to enable legitimate work while minimizing access to unnecessary permissions and enforcing the principal of least privilege`;
+app.get('/webhook/access-request', (req, res) => webhookAuth.handleVerificationChallenge(req, res));
 
-    console.log('🎉 [MCP Client] Prompt');
-    console.log(systemPrompt);
-
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [{ role: "system", content: systemPrompt }],
-        tools: this.mcpServer.tools,
-        tool_choice: "auto",
-        temperature: 0.1
-      });
-
-      await this.handleToolCalls(response);
-      
-      console.log('🎉 [MCP Client] Access request processing completed autonomously');
-      
-    } catch (error) {
-      console.error('❌ [MCP Client] Error processing access request:', error.message);
-      throw error;
-    }
-  }
-
-  async handleToolCalls(response) {
-    let currentResponse = response;
-    const messages = [{ role: "system", content: "Process this access request autonomously." }];
-
-    while (currentResponse.choices[0].message.tool_calls) {
-      const message = currentResponse.choices[0].message;
-      messages.push(message);
-
-      console.log(`\n🔄 [MCP Client] AI wants to call ${message.tool_calls.length} tool(s):`);
-
-      for (const toolCall of message.tool_calls) {
-        const toolName = toolCall.function.name;
-        const args = JSON.parse(toolCall.function.arguments);
-        
-        console.log(`  📞 Calling: ${toolName}(${JSON.stringify(args)})`);
-        
-        try {
-          const result = await this.mcpServer.executeTool(toolName, args);
-          
-          messages.push({
-            role: "tool",
-            tool_call_id: toolCall.id,
-            content: JSON.stringify(result)
-          });
-          
-          console.log(`  ✅ Tool result: ${result.success ? 'Success' : 'Failed'}`);
-          
-        } catch (error) {
-          console.log(`  ❌ Tool error: ${error.message}`);
-          messages.push({
-            role: "tool", 
-            tool_call_id: toolCall.id,
-            content: JSON.stringify({ success: false, error: error.message })
-          });
-        }
-      }
-
-      currentResponse = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: messages,
-        tools: this.mcpServer.tools,
-        tool_choice: "auto",
-        temperature: 0.1
-      });
-
-      if (!currentResponse.choices[0].message.tool_calls) {
-        console.log('\n🧠 [MCP Client] AI Final Decision:');
-        console.log(currentResponse.choices[0].message.content);
-      }
-    }
-
-    return currentResponse;
-  }
-}
-
-// ============================================================================
-// WEBHOOK HANDLER - Minimal entry point
-// ============================================================================
-
-const mcpServer = new MCPServer();
-const mcpClient = new MCPClient(mcpServer);
-
-app.post('/webhook/access-request', async (req, res) => {
+app.post('/webhook/access-request', webhookAuth.middleware(), async (req, res) => {
   console.log('\n📡 [Webhook] Received access request');
   console.log('📋 [Webhook] Payload:', JSON.stringify(req.body, null, 2));
   
@@ -450,18 +79,54 @@ app.post('/webhook/access-request', async (req, res) => {
       resourceIcon: req.body['Resource Icon'],
       resourceName: req.body['Resource Name'],
       resourceUrl: req.body['Resource URL'],
-      justification: req.body['Response to Justification']
+      justification: req.body['Response to Justification'],
+      shadowMode: config.shadow.enabled || req.get('x-shadow-mode') === 'true'
     };
     
-    await mcpClient.processAccessRequest(mappedRequest);
+    if (!mappedRequest.accessRequestId) {
+      return res.status(400).json({ status: 'error', message: 'Missing OIG Request ID' });
+    }
+
+    const existing = mappedRequest.shadowMode ? null : ledger.get(mappedRequest.accessRequestId);
+
+    if (existing?.status === 'completed') {
+      console.log(`♻️  [Webhook] Request ${mappedRequest.accessRequestId} was already processed, returning earlier outcome`);
+      return res.status(200).json({
+        status: 'completed',
+        message: 'Access request was already processed',
+        oigRequestId: mappedRequest.accessRequestId,
+        outcome: existing.outcome
+      });
+    }
+
+    const activeJob = existing?.jobId && jobQueue.get(existing.jobId);
+
+    if (activeJob && !['completed', 'dead'].includes(activeJob.status)) {
+      console.log(`♻️  [Webhook] Request ${mappedRequest.accessRequestId} is already queued as job ${activeJob.id}`);
+      return res.status(202).json({
+        status: 'accepted',
+        message: 'Access request is already being processed',
+        jobId: activeJob.id,
+        statusUrl: `/jobs/${activeJob.id}`,
+        oigRequestId: mappedRequest.accessRequestId
+      });
+    }
+
+    const job = jobQueue.enqueue(mappedRequest, { oigRequestId: mappedRequest.accessRequestId });
+
+    if (!mappedRequest.shadowMode) {
+      ledger.receive(mappedRequest.accessRequestId, job.id);
+    }
     
-    res.status(200).json({ 
-      status: 'received',
-      message: 'Access request processing initiated',
+    res.status(202).json({ 
+      status: 'accepted',
+      message: 'Access request queued for processing',
+      jobId: job.id,
+      statusUrl: `/jobs/${job.id}`,
       oigRequestId: mappedRequest.accessRequestId
     });
     
-    console.log('✅ [Webhook] Request forwarded to MCP Client, webhook acknowledged');
+    console.log(`✅ [Webhook] Request queued as job ${job.id}, webhook acknowledged`);
     
   } catch (error) {
     console.error('❌ [Webhook] Error:', error.message);
@@ -473,21 +138,121 @@ app.post('/webhook/access-request', async (req, res) => {
   }
 });
 
-app.post('/test', async (req, res) => {
+app.get('/jobs/dead-letter', (req, res) => {
+  res.json({ jobs: jobQueue.getDeadLetters().map(JobQueue.describe) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ status: 'error', message: `Job ${req.params.id} not found` });
+  }
+
+  res.json(JobQueue.describe(job));
+});
+
+app.get('/catalog', adminAuth.middleware(), async (req, res) => {
+  const { applicationId } = req.query;
+
+  if (!applicationId) {
+    return res.json({ ttlSeconds: config.catalog.ttlSeconds, catalogs: mcpServer.catalog.snapshot() });
+  }
+
+  const result = await mcpServer.listEntitlementBundles(applicationId);
+
+  if (!result.success) {
+    return res.status(502).json({ status: 'error', message: result.error });
+  }
+
+  res.json(mcpServer.catalog.snapshot().find(entry => entry.applicationId === applicationId));
+});
+
+app.delete('/catalog/:applicationId?', adminAuth.middleware(), (req, res) => {
+  const invalidated = mcpServer.catalog.invalidate(req.params.applicationId);
+  res.json({ status: 'invalidated', invalidated });
+});
+
+app.get('/audit', adminAuth.middleware(), (req, res) => {
+  const { user, bundle, from, to } = req.query;
+
+  if ([from, to].some(date => date && Number.isNaN(Date.parse(date)))) {
+    return res.status(400).json({ status: 'error', message: 'from and to must be ISO-8601 dates' });
+  }
+
+  const records = auditLog.query({ user, bundle, from, to, limit: Number(req.query.limit) || 100 });
+  res.json({ count: records.length, records });
+});
+
+app.get('/audit/:requestId', adminAuth.middleware(), (req, res) => {
+  const records = auditLog.findByRequestId(req.params.requestId);
+
+  if (records.length === 0) {
+    return res.status(404).json({ status: 'error', message: `No audit records for request ${req.params.requestId}` });
+  }
+
+  res.json({ accessRequestId: req.params.requestId, records });
+});
+
+app.get('/shadow', adminAuth.middleware(), async (req, res) => {
+  const records = await mcpServer.shadow.compare();
+  const resolved = records.filter(record => record.agreesWithHumans !== null);
+
+  res.json({
+    count: records.length,
+    agreement: resolved.length > 0 ? resolved.filter(record => record.agreesWithHumans).length / resolved.length : null,
+    records
+  });
+});
+
+const APPROVAL_ERROR_STATUS = { NOT_FOUND: 404, NOT_PENDING: 409, GRANT_FAILED: 502 };
+
+app.get('/approvals', adminAuth.middleware(), (req, res) => {
+  const approvals = mcpServer.approvals.list(req.query.status);
+  res.json({ count: approvals.length, approvals });
+});
+
+app.get('/approvals/:id', adminAuth.middleware(), (req, res) => {
+  const approval = mcpServer.approvals.get(req.params.id);
+
+  if (!approval) {
+    return res.status(404).json({ status: 'error', message: `Approval ${req.params.id} not found` });
+  }
+
+  res.json(approval);
+});
+
+// Decisions are recorded under the authenticated operator, never a name from the body
+app.post('/approvals/:id/:decision(approve|reject)', adminAuth.middleware(), async (req, res) => {
+  const { comment } = req.body || {};
+  const approver = req.operator;
+
+  const result = req.params.decision === 'approve'
+    ? await mcpServer.approvals.approve(req.params.id, { approver, comment })
+    : await mcpServer.approvals.reject(req.params.id, { approver, comment });
+
+  if (!result.success) {
+    return res.status(APPROVAL_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error });
+  }
+
+  res.json(result.data);
+});
+
+app.post('/test', adminAuth.middleware(), async (req, res) => {
   const testRequest = {
     accessDuration: "PT2H",
     accessLevelDescription: "Grants admin permissions to read and write data and metadata from BigQuery tables",
     accessLevelName: "Vertex AI Administrator - aiplatform.admin", 
-    requestUserId: "00uq3zp622HWDY2Jc697",
-    requestEmail: "mike.tran@okta.com",
+    userId: "00uq3zp622HWDY2Jc697",
+    userEmail: "alex.morgan@example.com",
     resourceName: "GCP - Engineering",
     justification: req.body.justification || "I need to analyze customer data for quarterly business reports",
-    oigRequestId: "TEST-" + Date.now()
+    accessRequestId: "TEST-" + Date.now()
   };
 
   try {
-    await mcpClient.processAccessRequest(testRequest);
-    res.json({ status: 'completed', message: 'Test request processed by MCP Client' });
+    const verdict = await mcpClient.processAccessRequest(testRequest);
+    res.json({ status: 'completed', message: 'Test request processed by MCP Client', verdict });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -527,7 +292,7 @@ app.get('/test-network', async (req, res) => {
   res.json({ results });
 });
 
-app.post('/test-openai-raw', async (req, res) => {
+app.post('/test-openai-raw', adminAuth.middleware(), async (req, res) => {
   console.log('🧪 Testing OpenAI with raw HTTP...');
   
   try {
@@ -537,7 +302,7 @@ app.post('/test-openai-raw', async (req, res) => {
       max_tokens: 10
     }, {
       headers: {
-        'Authorization': `Bearer ${config.openai.apiKey}`,
+        'Authorization': `Bearer ${config.llm.apiKey}`,
         'Content-Type': 'application/json'
       },
       timeout: 10000
@@ -566,8 +331,9 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     architecture: 'Security-Controlled MCP System',
     components: {
-      mcpServer: `${mcpServer.tools.length} tools available`,
-      mcpClient: 'OpenAI GPT-4o-mini with security controls',
+      mcpServer: `${toolRouter.getTools().length} tools available from ${toolRouter.connections.length} MCP server(s)`,
+      mcpClient: `${mcpClient.provider.name} ${mcpClient.provider.model} with security controls`,
+      okta: mcpServer.okta.status(),
       securityController: 'Active - pre-filtering roles based on justification analysis'
     },
     securityFeatures: [
@@ -587,8 +353,11 @@ app.listen(config.port, () => {
   console.log(`🧪 Test: http://localhost:${config.port}/test`);
   console.log(`🩺 Health: http://localhost:${config.port}/health`);
   console.log(`\n🏗️  Architecture:`);
-  console.log(`   Webhook → MCP Client (GPT-4o-mini) → MCP Server → Okta APIs`);
-  console.log(`\n🔧 MCP Tools: ${mcpServer.tools.map(t => t.function.name).join(', ')}`);
+  console.log(`   Webhook → MCP Client (${mcpClient.provider.name}: ${mcpClient.provider.model}) → MCP Server → Okta APIs`);
+
+  toolRouter.connect().then(() => {
+    console.log(`\n🔧 MCP Tools: ${toolRouter.getTools().map(t => t.function.name).join(', ')}`);
+  });
 });
 
 module.exports = app;
\ No newline at end of file
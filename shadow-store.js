@@ -0,0 +1,118 @@
+const path = require('path');
+const JsonFileStore = require('./json-file-store');
+
+const DEFAULT_SHADOW_FILE = path.join(__dirname, 'data', 'shadow.json');
+const SIMULATED_TOOLS = ['create_grant', 'add_request_message'];
+// OIG request statuses that will not change any more
+const FINAL_STATUSES = ['APPROVED', 'DENIED', 'REJECTED', 'CANCELED', 'CANCELLED', 'EXPIRED', 'RESOLVED'];
+
+// ============================================================================
+// SHADOW STORE - Records what the agent would have done without doing it
+// ============================================================================
+class ShadowStore {
+  constructor(mcpServer, file = DEFAULT_SHADOW_FILE) {
+    this.mcpServer = mcpServer;
+    this.file = file;
+    this.store = new JsonFileStore(file, {});
+  }
+
+  static simulates(toolName) {
+    return SIMULATED_TOOLS.includes(toolName);
+  }
+
+  // Records a side-effecting tool call and returns the result the model would have seen
+  simulate(toolName, args, request, { violations = [], riskReasons = [] } = {}) {
+    const at = new Date().toISOString();
+
+    this.store.update(records => {
+      const record = recordFor(records, request);
+
+      if (toolName === 'create_grant') {
+        record.simulated.grants.push({ at, entitlementIds: args.entitlementIds, reasoning: args.reasoning, violations, riskReasons });
+      } else {
+        record.simulated.messages.push({ at, message: args.message });
+      }
+
+      record.updatedAt = at;
+      return records;
+    });
+
+    if (toolName === 'create_grant') {
+      console.log(`👻 [Shadow] Would grant ${args.entitlementIds.join(', ')} to ${args.userId}`);
+    } else {
+      console.log(`👻 [Shadow] Would post message to request ${args.requestId}`);
+    }
+
+    if (toolName === 'create_grant') {
+      return {
+        success: true,
+        shadow: true,
+        data: args.entitlementIds.map(entitlementId => ({ entitlementBundleId: entitlementId, grantId: null, status: 'simulated' })),
+        reasoning: args.reasoning
+      };
+    }
+
+    return { success: true, shadow: true, requestId: args.requestId, message: args.message };
+  }
+
+  // Simulated decisions next to the outcome the human approvers reached in OIG
+  async compare() {
+    const records = Object.values(this.store.read());
+
+    for (const record of records) {
+      if (record.actual && FINAL_STATUSES.includes(record.actual.status)) {
+        continue;
+      }
+
+      const result = await this.mcpServer.getAccessRequest(record.accessRequestId);
+      if (result.success) {
+        record.actual = { status: result.data.status, checkedAt: new Date().toISOString() };
+      }
+    }
+
+    // Only the looked-up statuses are written back, records simulated meanwhile are kept
+    this.store.update(current => {
+      for (const record of records) {
+        if (current[record.accessRequestId] && record.actual) {
+          current[record.accessRequestId].actual = record.actual;
+        }
+      }
+      return current;
+    });
+
+    return records.map(record => {
+      const simulatedOutcome = record.simulated.grants.length > 0 ? 'granted' : 'not-granted';
+      const actualStatus = record.actual?.status;
+      const resolved = FINAL_STATUSES.includes(actualStatus);
+
+      return {
+        ...record,
+        simulatedOutcome,
+        agreesWithHumans: resolved ? (simulatedOutcome === 'granted') === (actualStatus === 'APPROVED') : null
+      };
+    });
+  }
+}
+
+function recordFor(records, request) {
+  const id = request.accessRequestId || 'unknown';
+
+  if (!records[id]) {
+    const now = new Date().toISOString();
+    records[id] = {
+      accessRequestId: id,
+      userId: request.userId,
+      userEmail: request.userEmail,
+      requestedRole: request.accessLevelName,
+      justification: request.justification,
+      simulated: { grants: [], messages: [] },
+      actual: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  return records[id];
+}
+
+module.exports = ShadowStore;
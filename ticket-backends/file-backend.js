@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+const CLOSED_STATUSES = ['closed', 'resolved', 'done', 'cancelled', 'canceled'];
+
+// ============================================================================
+// FILE BACKEND - Tickets from a local JSON file, for offline use and demos
+// ============================================================================
+class FileBackend {
+  // The file holds an array of { id, title, status, open?, assignee, participants };
+  // it is re-read on every lookup so edits apply without a restart
+  constructor(options = {}) {
+    this.name = 'file';
+    this.pattern = new RegExp(options.pattern || '.');
+    this.file = options.file || path.join(__dirname, '..', 'tickets.json');
+  }
+
+  async lookup(ticketId) {
+    const tickets = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    const ticket = tickets.find(ticket => ticket.id.toLowerCase() === ticketId.toLowerCase());
+
+    if (!ticket) {
+      return null;
+    }
+
+    return {
+      id: ticket.id,
+      title: ticket.title,
+      status: ticket.status,
+      open: ticket.open ?? !CLOSED_STATUSES.includes(String(ticket.status).toLowerCase()),
+      assignee: ticket.assignee || null,
+      people: [ticket.assignee, ...(ticket.participants || [])],
+      url: ticket.url || null
+    };
+  }
+}
+
+module.exports = FileBackend;
@@ -0,0 +1,63 @@
+const ServiceNowBackend = require('./servicenow-backend');
+const JiraBackend = require('./jira-backend');
+const PagerDutyBackend = require('./pagerduty-backend');
+const FileBackend = require('./file-backend');
+
+const BACKENDS = {
+  'servicenow': ServiceNowBackend,
+  'jira': JiraBackend,
+  'pagerduty': PagerDutyBackend,
+  'file': FileBackend
+};
+
+// Every backend exposes `name`, a ticket ID `pattern` and `lookup(ticketId)`, which
+// resolves to { id, title, status, open, assignee, people, url } or null when the
+// ticket does not exist. config.backends lists the enabled ones in matching order
+function createTicketBackends(config = {}) {
+  return (config.backends || []).map(name => {
+    const Backend = BACKENDS[name];
+
+    if (!Backend) {
+      throw new Error(`Unknown ticket backend: ${name} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    return new Backend(config[name] || {});
+  });
+}
+
+// A ticket supports a request when it exists, is still open and names the requester
+// (by user ID, login or email) as assignee, reporter or participant
+function assessTicket(ticket, identities) {
+  const known = identities.filter(Boolean).map(identity => identity.toLowerCase());
+  const involvesRequester = ticket.people.some(person => person && known.includes(person.trim().toLowerCase()));
+  const reasons = [];
+
+  if (!ticket.open) {
+    reasons.push(`${ticket.id} is ${ticket.status || 'closed'}`);
+  }
+  if (!involvesRequester) {
+    reasons.push(`the requester is not assigned to or involved in ${ticket.id}`);
+  }
+
+  return {
+    ticketId: ticket.id,
+    exists: true,
+    open: ticket.open,
+    involvesRequester,
+    verified: reasons.length === 0,
+    reasons,
+    title: ticket.title,
+    status: ticket.status,
+    assignee: ticket.assignee,
+    url: ticket.url
+  };
+}
+
+module.exports = {
+  createTicketBackends,
+  assessTicket,
+  ServiceNowBackend,
+  JiraBackend,
+  PagerDutyBackend,
+  FileBackend
+};
@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+// ============================================================================
+// JIRA BACKEND - Issues from the Jira REST API
+// ============================================================================
+class JiraBackend {
+  constructor(options = {}) {
+    this.name = 'jira';
+    this.pattern = new RegExp(options.pattern || '^[A-Z][A-Z0-9_]+-\\d+$');
+    this.baseUrl = options.baseUrl;
+    // Jira Cloud uses an account email and API token; Data Center a personal access token
+    this.headers = options.token
+      ? { 'Authorization': `Bearer ${options.token}` }
+      : { 'Authorization': `Basic ${Buffer.from(`${options.email}:${options.apiToken}`).toString('base64')}` };
+  }
+
+  async lookup(ticketId) {
+    let issue;
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/rest/api/2/issue/${encodeURIComponent(ticketId)}`, {
+        params: { fields: 'summary,status,assignee,reporter,creator' },
+        headers: { 'Accept': 'application/json', ...this.headers },
+        timeout: 15 * 1000
+      });
+      issue = response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    const { summary, status, assignee, reporter, creator } = issue.fields;
+
+    return {
+      id: issue.key,
+      title: summary,
+      status: status?.name,
+      open: status?.statusCategory?.key !== 'done',
+      assignee: assignee?.emailAddress || assignee?.displayName || null,
+      // emailAddress is hidden by some privacy settings; Data Center users also have a name
+      people: [assignee, reporter, creator].flatMap(user => user ? [user.emailAddress, user.name] : []),
+      url: `${this.baseUrl}/browse/${issue.key}`
+    };
+  }
+}
+
+module.exports = JiraBackend;
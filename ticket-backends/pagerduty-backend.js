@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+// ============================================================================
+// PAGERDUTY BACKEND - Incidents from the PagerDuty REST API
+// ============================================================================
+class PagerDutyBackend {
+  constructor(options = {}) {
+    this.name = 'pagerduty';
+    this.pattern = new RegExp(options.pattern || '^[PQ][A-Z0-9]{6,}$');
+    this.baseUrl = options.baseUrl || 'https://api.pagerduty.com';
+    this.token = options.token;
+  }
+
+  async lookup(ticketId) {
+    let incident;
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/incidents/${encodeURIComponent(ticketId)}`, {
+        // Expands assignees and acknowledgers to full users, which carry their email
+        params: { include: ['assignees', 'acknowledgers'] },
+        headers: {
+          'Accept': 'application/vnd.pagerduty+json;version=2',
+          'Authorization': `Token token=${this.token}`
+        },
+        timeout: 15 * 1000
+      });
+      incident = response.data.incident;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    const assignees = (incident.assignments || []).map(assignment => assignment.assignee);
+    const acknowledgers = (incident.acknowledgements || []).map(acknowledgement => acknowledgement.acknowledger);
+
+    return {
+      id: incident.id,
+      title: incident.title,
+      status: incident.status,
+      open: incident.status !== 'resolved',
+      assignee: assignees[0]?.email || assignees[0]?.summary || null,
+      people: [...assignees, ...acknowledgers].map(user => user?.email),
+      url: incident.html_url
+    };
+  }
+}
+
+module.exports = PagerDutyBackend;
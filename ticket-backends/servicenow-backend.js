@@ -0,0 +1,60 @@
+const axios = require('axios');
+
+// Dot-walked fields come back flattened, e.g. record['assigned_to.email']
+const FIELDS = ['sys_id', 'number', 'short_description', 'state', 'active', 'assigned_to.email', 'opened_by.email', 'caller_id.email', 'watch_list'];
+
+// ============================================================================
+// SERVICENOW BACKEND - Incidents, changes and tasks from the Table API
+// ============================================================================
+class ServiceNowBackend {
+  constructor(options = {}) {
+    this.name = 'servicenow';
+    this.pattern = new RegExp(options.pattern || '^(INC|CHG|PRB|RITM|SCTASK|TASK)\\d+$', 'i');
+    this.instanceUrl = options.instanceUrl;
+    // task is the parent table of incident, change_request, problem, etc.
+    this.table = options.table || 'task';
+    this.headers = options.token
+      ? { 'Authorization': `Bearer ${options.token}` }
+      : { 'Authorization': `Basic ${Buffer.from(`${options.username}:${options.password}`).toString('base64')}` };
+  }
+
+  async lookup(ticketId) {
+    // ^ separates encoded query terms, so an ID containing one could widen the query
+    if (ticketId.includes('^')) {
+      return null;
+    }
+
+    const response = await axios.get(`${this.instanceUrl}/api/now/table/${this.table}`, {
+      params: {
+        sysparm_query: `number=${ticketId}`,
+        sysparm_fields: FIELDS.join(','),
+        sysparm_display_value: true,
+        sysparm_limit: 1
+      },
+      headers: { 'Accept': 'application/json', ...this.headers },
+      timeout: 15 * 1000
+    });
+
+    const record = response.data.result?.[0];
+    if (!record || record.number?.toUpperCase() !== ticketId.toUpperCase()) {
+      return null;
+    }
+
+    return {
+      id: record.number,
+      title: record.short_description,
+      status: record.state,
+      open: record.active === 'true' || record.active === true,
+      assignee: record['assigned_to.email'] || null,
+      people: [
+        record['assigned_to.email'],
+        record['opened_by.email'],
+        record['caller_id.email'],
+        ...(record.watch_list || '').split(',')
+      ],
+      url: `${this.instanceUrl}/nav_to.do?uri=${this.table}.do?sys_id=${record.sys_id}`
+    };
+  }
+}
+
+module.exports = ServiceNowBackend;
@@ -0,0 +1,87 @@
+const { validate } = require('./json-schema');
+
+// Set by MCPClient when a conversation limit stops processing, never chosen by the model
+const LIMIT_OUTCOME = 'needs-review';
+const VERDICT_OUTCOMES = ['approved', 'downgraded', 'denied', 'needs-info', 'pending-approval', LIMIT_OUTCOME];
+const MAX_VERDICT_ATTEMPTS = 3;
+
+const VERDICT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['outcome', 'requestedBundle', 'grantedBundleIds', 'policyRulesCited', 'confidence', 'requesterMessage'],
+  properties: {
+    outcome: {
+      type: 'string',
+      enum: VERDICT_OUTCOMES,
+      description: 'approved: requested role granted; downgraded: a less privileged bundle granted instead; denied: nothing granted; needs-info: justification lacked required information; pending-approval: create_grant was submitted for human approval and nothing is granted until an approver decides; needs-review: reserved for requests stopped at a processing limit, do not use'
+    },
+    requestedBundle: {
+      type: 'string',
+      description: 'Name of the role/bundle the requester asked for'
+    },
+    grantedBundleIds: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'IDs of the entitlement bundles actually granted by create_grant, empty when nothing was granted'
+    },
+    policyRulesCited: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Requirements and workflow rules the decision relied on, e.g. "REQUIREMENT 2: no admin roles without admin tasks"'
+    },
+    confidence: {
+      type: 'number',
+      minimum: 0,
+      maximum: 1,
+      description: 'Confidence in the decision between 0 and 1'
+    },
+    requesterMessage: {
+      type: 'string',
+      minLength: 1,
+      description: 'The message for the requester explaining the decision'
+    }
+  }
+};
+
+const VERDICT_INSTRUCTIONS = `Processing is complete. Return your final verdict for this access request as a single JSON object matching this schema, with no other text:
+${JSON.stringify(VERDICT_SCHEMA, null, 2)}`;
+
+// ============================================================================
+// VERDICT - Schema and consistency checks for the agent's final decision
+// ============================================================================
+
+// Checks the schema, then that grantedBundleIds matches what create_grant actually granted
+// and that the outcome is pending-approval exactly when a grant was parked for approval
+function validateVerdict(text, grantedBundleIds, parkedBundleIds = []) {
+  let verdict;
+  try {
+    verdict = typeof text === 'string' ? JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, '')) : text;
+  } catch (error) {
+    return { verdict: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validate(VERDICT_SCHEMA, verdict);
+
+  if (errors.length === 0) {
+    const claimed = [...verdict.grantedBundleIds].sort();
+    const actual = [...grantedBundleIds].sort();
+
+    if (claimed.join(',') !== actual.join(',')) {
+      errors.push(`$.grantedBundleIds must list exactly the bundles granted by create_grant: ${JSON.stringify(actual)}`);
+    }
+
+    if (verdict.outcome === LIMIT_OUTCOME) {
+      errors.push(`$.outcome "${LIMIT_OUTCOME}" is reserved for requests stopped at a processing limit`);
+    }
+    if (parkedBundleIds.length > 0 && verdict.outcome !== 'pending-approval') {
+      errors.push(`$.outcome must be "pending-approval": create_grant for ${JSON.stringify(parkedBundleIds)} is awaiting human approval`);
+    }
+    if (parkedBundleIds.length === 0 && verdict.outcome === 'pending-approval') {
+      errors.push('$.outcome must not be "pending-approval": no create_grant call was submitted for approval');
+    }
+  }
+
+  return { verdict: errors.length === 0 ? verdict : null, errors };
+}
+
+module.exports = { VERDICT_SCHEMA, VERDICT_OUTCOMES, LIMIT_OUTCOME, VERDICT_INSTRUCTIONS, MAX_VERDICT_ATTEMPTS, validateVerdict };